@@ -1,21 +1,60 @@
 ﻿// Reinforcement Learning Agent
+import { SumTree } from './sum-tree.js';
+import { Random } from './random.js';
+
+// Pre-training copies the online network to the target network this often (in gradient steps)
+const PRETRAIN_TARGET_UPDATE_STEPS = 100;
+
 export class Agent {
+    // env is an Environment, or a VectorEnvironment to step several games in lockstep
     constructor(env, model, config = {}) {
         this.env = env;
         this.model = model;
+        // Drives exploration and replay sampling
+        this.rng = new Random(config.seed);
 
         // Hyperparameters
         this.gamma = config.gamma || 0.99;
         this.epsilon = config.epsilon || 0.3;
         this.epsilonDecay = config.epsilonDecay || 0.9995;
-        this.epsilonMin = config.epsilonMin || 0.01;
+        this.epsilonMin = config.epsilonMin ?? 0.01;
+        // 'epsilon' for epsilon-greedy, 'noisy' to act greedily and explore through NoisyDense parameter noise
+        this.exploration = config.exploration || 'epsilon';
         this.batchSize = config.batchSize || 32;
         this.memoryMaxLen = config.memoryMaxLen || 10000;
         this.targetUpdateFreq = config.targetUpdateFreq || 10;
+        // Multi-step returns: bootstrap from the state n steps ahead instead of the next one
+        this.nStep = config.nStep || 1;
+        this.maxSteps = config.maxSteps || 30000;
+
+        // Prioritized experience replay (alpha/beta are annealed linearly over env steps)
+        this.prioritized = config.prioritized || false;
+        this.priorityAlpha = config.priorityAlpha ?? 0.6;
+        this.priorityAlphaEnd = config.priorityAlphaEnd ?? this.priorityAlpha;
+        this.priorityBeta = config.priorityBeta ?? 0.4;
+        this.priorityBetaEnd = config.priorityBetaEnd ?? 1.0;
+        this.priorityAnnealSteps = config.priorityAnnealSteps || 100000;
+        this.priorityEpsilon = config.priorityEpsilon || 1e-6;
+
+        // Coach mode (DAgger-style corrections): a human action overrides the agent's next one in the
+        // first game and is kept as an expert label. Every replay mixes expertBatchSize labels into
+        // the batch (a quarter of batchSize unless set), with DQfD's large-margin loss at weight
+        // expertWeight (see DQN.updateExpert).
+        this.expertWeight = config.expertWeight ?? 1.0;
+        this.expertMargin = config.expertMargin || 0.8;
+        this.expertBatchSize = config.expertBatchSize || null;
+        this.expertLabels = [];
+        this.pendingOverride = null;
+        // Per environment: overrides in the running episode
+        this.interventions = [];
 
         // Memory for experience replay
         this.memory = [];
         this.memoryIndex = 0;
+        this.priorityTree = this.prioritized ? new SumTree(this.memoryMaxLen) : null;
+        this.maxPriority = 1.0;
+        // Per environment: most recent transitions of the running episode that don't have n successors yet
+        this.nStepBuffers = [];
 
         // Training state
         this.episode = 0;
@@ -25,18 +64,21 @@ export class Agent {
         // State for pause/resume support
         this.currentEpisodeState = null;
         this.isPaused = false;
+        // Running episodes of a VectorEnvironment, kept between trainEpisode calls
+        this.vectorState = null;
 
         // Statistics
         this.episodeRewards = [];
         this.episodeScores = [];
         this.episodeLengths = [];
+        this.episodeEpsilons = [];
     }
 
     act(state) {
-        // Epsilon-greedy action selection
-        if (Math.random() < this.epsilon) {
+        // Epsilon-greedy action selection (noisy networks explore on their own)
+        if (this.exploration === 'epsilon' && this.rng.random() < this.epsilon) {
             // Exploration: random action
-            if (Math.random() < 0.75) {
+            if (this.rng.random() < 0.75) {
                 return 0;  // Bias towards not jumping
             } else {
                 return 1;  // Jump
@@ -51,21 +93,137 @@ export class Agent {
         }
     }
 
-    remember(state, action, reward, nextState, done) {
-        const experience = {
-            state: state,
-            action: action,
+    // Actions for a batch of states (one per vectorized environment) from a single forward pass
+    actBatch(states) {
+        const greedyActions = tf.tidy(() => this.model.predict(states).argMax(1).dataSync());
+        return states.map((state, i) => {
+            if (this.exploration === 'epsilon' && this.rng.random() < this.epsilon) {
+                return this.rng.random() < 0.75 ? 0 : 1;  // Same jump bias as act()
+            }
+            return greedyActions[i];
+        });
+    }
+
+    // Coach's action for the next step of the first game
+    override(action) {
+        this.pendingOverride = action;
+    }
+
+    // The pending override, if any, counted as an intervention in envIndex's episode
+    takeOverride(envIndex) {
+        if (this.pendingOverride === null) return null;
+        const action = this.pendingOverride;
+        this.pendingOverride = null;
+        this.interventions[envIndex] = (this.interventions[envIndex] || 0) + 1;
+        return action;
+    }
+
+    // Labels are kept apart from the replay memory, so a few corrections aren't drowned out by it;
+    // the oldest go once there are memoryMaxLen of them
+    rememberExpert(state, action, reward, nextState, done) {
+        this.expertLabels.push({ state, action, reward, nextState, done, nSteps: 1 });
+        if (this.expertLabels.length > this.memoryMaxLen) {
+            this.expertLabels.shift();
+        }
+    }
+
+    sampleExpertLabels() {
+        // batchSize can change during a run (see setHyperparameters)
+        const batchSize = this.expertBatchSize || Math.max(1, Math.floor(this.batchSize / 4));
+        const size = Math.min(batchSize, this.expertLabels.length);
+        return Array.from({ length: size }, () => this.expertLabels[Math.floor(this.rng.random() * this.expertLabels.length)]);
+    }
+
+    // envIndex keeps n-step returns of vectorized environments apart
+    remember(state, action, reward, nextState, done, envIndex = 0) {
+        if (this.nStep <= 1) {
+            this.storeExperience({
+                state: state,
+                action: action,
+                reward: reward,
+                nextState: nextState,
+                done: done,
+                nSteps: 1
+            });
+            return;
+        }
+
+        const buffer = this.nStepBuffers[envIndex] || (this.nStepBuffers[envIndex] = []);
+        buffer.push({ state, action, reward, nextState });
+
+        if (done) {
+            // Every pending transition ends in the terminal state
+            this.flushNStep(true, envIndex);
+        } else if (buffer.length >= this.nStep) {
+            this.storeExperience(this.buildNStepExperience(buffer, false));
+            buffer.shift();
+        }
+    }
+
+    // Collapse the buffered transitions into one starting at the oldest of them:
+    // R = r_t + gamma * r_t+1 + ... + gamma^(k-1) * r_t+k-1, bootstrapping from s_t+k
+    buildNStepExperience(buffer, done) {
+        const first = buffer[0];
+        const last = buffer[buffer.length - 1];
+        let reward = 0;
+        for (let k = buffer.length - 1; k >= 0; k--) {
+            reward = buffer[k].reward + this.gamma * reward;
+        }
+
+        return {
+            state: first.state,
+            action: first.action,
             reward: reward,
-            nextState: nextState,
-            done: done
+            nextState: last.nextState,
+            done: done,
+            nSteps: buffer.length
         };
+    }
+
+    // Store the remaining partial returns at the end of an episode. done=false is used when the
+    // episode was cut off by the step cap, so those transitions still bootstrap from the last state.
+    flushNStep(done, envIndex = 0) {
+        const buffer = this.nStepBuffers[envIndex] || [];
+        while (buffer.length > 0) {
+            this.storeExperience(this.buildNStepExperience(buffer, done));
+            buffer.shift();
+        }
+    }
 
+    storeExperience(experience) {
+        const slot = this.memoryIndex % this.memoryMaxLen;
         if (this.memory.length < this.memoryMaxLen) {
             this.memory.push(experience);
         } else {
-            this.memory[this.memoryIndex % this.memoryMaxLen] = experience;
+            this.memory[slot] = experience;
         }
         this.memoryIndex++;
+
+        // New experiences get the highest priority seen so far, so each is replayed at least once
+        if (this.priorityTree) {
+            this.priorityTree.update(slot, Math.pow(this.maxPriority, this.getPriorityAlpha()));
+        }
+    }
+
+    getAnnealFraction() {
+        return Math.min(1, this.totalSteps / this.priorityAnnealSteps);
+    }
+
+    getPriorityAlpha() {
+        return this.priorityAlpha + (this.priorityAlphaEnd - this.priorityAlpha) * this.getAnnealFraction();
+    }
+
+    getPriorityBeta() {
+        return this.priorityBeta + (this.priorityBetaEnd - this.priorityBeta) * this.getAnnealFraction();
+    }
+
+    updatePriorities(indices, tdErrors) {
+        const alpha = this.getPriorityAlpha();
+        for (let i = 0; i < indices.length; i++) {
+            const priority = Math.abs(tdErrors[i]) + this.priorityEpsilon;
+            this.maxPriority = Math.max(this.maxPriority, priority);
+            this.priorityTree.update(indices[i], Math.pow(priority, alpha));
+        }
     }
 
     async replay(isDDQN = false) {
@@ -74,42 +232,121 @@ export class Agent {
         }
 
         // Sample batch from memory
-        const batch = this.sampleBatch(this.batchSize);
+        const { batch, indices, weights } = this.prioritized ?
+            this.samplePrioritized(this.batchSize) :
+            { batch: this.sampleBatch(this.batchSize), indices: null, weights: null };
+
+        // Expert labels are appended after the sampled transitions, with full importance weight
+        const labels = this.expertWeight > 0 && this.expertLabels.length > 0 ? this.sampleExpertLabels() : [];
+        const fullBatch = batch.concat(labels);
+        const fullWeights = weights && weights.concat(labels.map(() => 1));
+        // Targets and gradient step see the same noise (see DQN.holdNoise)
+        this.model.holdNoise();
+        const { stateTensor, nextStateTensor, tdTargets, tdErrors } = this.computeTargets(fullBatch, isDDQN);
+        const actions = fullBatch.map(e => e.action);
 
-        const states = [];
-        const targets = [];
+        // Update model
+        try {
+            if (labels.length > 0) {
+                await this.model.updateExpert(stateTensor, actions, tdTargets, {
+                    weights: fullWeights,
+                    margin: this.expertMargin,
+                    weight: this.expertWeight,
+                    expertWeights: fullBatch.map((e, i) => (i < batch.length ? 0 : 1))
+                });
+            } else {
+                await this.model.update(stateTensor, actions, tdTargets, weights);
+            }
 
-        for (let experience of batch) {
-            const { state, action, reward, nextState, done } = experience;
+            if (indices) {
+                this.updatePriorities(indices, await tdErrors.data());
+            }
+        } finally {
+            this.model.releaseNoise();
+            tf.dispose([stateTensor, nextStateTensor, tdTargets, tdErrors]);
+        }
+    }
 
-            states.push(state);
+    // TD targets of the taken actions for a batch of transitions, and their TD errors (for
+    // priorities). The caller disposes the returned tensors.
+    computeTargets(batch, isDDQN) {
+        const batchSize = batch.length;
+        const stateTensor = tf.tensor2d(batch.map(e => e.state), [batchSize, this.model.stateDim]);
+        const nextStateTensor = tf.tensor2d(batch.map(e => e.nextState), [batchSize, this.model.stateDim]);
+
+        // Build all targets with tensor ops: one forward pass per network for the whole batch
+        const { tdTargets, tdErrors } = tf.tidy(() => {
+            let qValues, nextQValues;
+            if (isDDQN && this.model.predictTarget) {
+                // Use target network for DDQN
+                qValues = this.model.predict(stateTensor);
+                nextQValues = this.model.predictTarget(nextStateTensor);
+            } else {
+                // Use main network for regular DQN: states and next states share one pass
+                const allQValues = this.model.predict(tf.concat([stateTensor, nextStateTensor]));
+                [qValues, nextQValues] = tf.split(allQValues, 2);
+            }
 
-            // Calculate target Q-value
-            const qValues = await tf.tidy(() => {
-                return this.model.predict([state]).dataSync();
-            });
+            const actionMask = tf.oneHot(tf.tensor1d(batch.map(e => e.action), 'int32'), this.model.actionDim);
+            const rewards = tf.tensor1d(batch.map(e => e.reward));
+            const notDone = tf.tensor1d(batch.map(e => e.done ? 0 : 1));
+            // n-step transitions bootstrap with gamma^n
+            const discounts = tf.tensor1d(batch.map(e => Math.pow(this.gamma, e.nSteps || 1)));
 
-            if (done) {
-                qValues[action] = reward;
-            } else {
-                const nextQValues = await tf.tidy(() => {
-                    if (isDDQN && this.model.predictTarget) {
-                        // Use target network for DDQN
-                        return this.model.predictTarget([nextState]).max(1).dataSync();
-                    } else {
-                        // Use main network for regular DQN
-                        return this.model.predict([nextState]).max(1).dataSync();
-                    }
-                });
+            const tdTargets = rewards.add(notDone.mul(nextQValues.max(1)).mul(discounts));
+            const tdErrors = tdTargets.sub(qValues.mul(actionMask).sum(1));
+            return { tdTargets, tdErrors };
+        });
 
-                qValues[action] = reward + this.gamma * nextQValues[0];
+        return { stateTensor, nextStateTensor, tdTargets, tdErrors };
+    }
+
+    // Supervised pre-training on demonstrations before RL starts (DQfD, Hester et al., 2018): TD
+    // updates plus a large-margin loss that makes the demonstrated action the greedy one (see
+    // DQN.updateExpert). Batches are drawn with a generator of their own, so exploration and replay
+    // sampling of the run stay as seeded. options: { steps, seed, margin, expertWeight,
+    // onProgress(done, total, loss) }; returns the loss of the last step.
+    async pretrain(transitions, isDDQN = false, options = {}) {
+        const steps = options.steps || 500;
+        const rng = new Random(options.seed);
+        const batchSize = Math.min(this.batchSize, transitions.length);
+        let loss = 0;
+
+        for (let step = 0; step < steps; step++) {
+            if (isDDQN && step % PRETRAIN_TARGET_UPDATE_STEPS === 0 && this.model.updateTarget) {
+                this.model.updateTarget();
+            }
+            const batch = Array.from({ length: batchSize }, () => transitions[Math.floor(rng.random() * transitions.length)]);
+            this.model.holdNoise();
+            const { stateTensor, nextStateTensor, tdTargets, tdErrors } = this.computeTargets(batch, isDDQN);
+            try {
+                loss = await this.model.updateExpert(stateTensor, batch.map(e => e.action), tdTargets, {
+                    margin: options.margin,
+                    weight: options.expertWeight
+                });
+            } finally {
+                this.model.releaseNoise();
+                tf.dispose([stateTensor, nextStateTensor, tdTargets, tdErrors]);
             }
+            if (options.onProgress) {
+                await options.onProgress(step + 1, steps, loss);
+            }
+        }
 
-            targets.push(Array.from(qValues));
+        // RL starts from the pre-trained values on both networks
+        if (isDDQN && this.model.updateTarget) {
+            this.model.updateTarget();
         }
+        return loss;
+    }
 
-        // Update model
-        await this.model.update(states, targets);
+    // Store a whole recorded episode, e.g. a demonstration, as remember() would have while it was
+    // played. crashed=false means it was cut off, so its last transitions still bootstrap.
+    rememberEpisode(transitions, crashed) {
+        for (let i = 0; i < transitions.length; i++) {
+            const buffer = transitions.slice(i, i + this.nStep);
+            this.storeExperience(this.buildNStepExperience(buffer, crashed && i + buffer.length === transitions.length));
+        }
     }
 
     sampleBatch(size) {
@@ -117,7 +354,7 @@ export class Agent {
         const indices = new Set();
 
         while (indices.size < size) {
-            const index = Math.floor(Math.random() * this.memory.length);
+            const index = Math.floor(this.rng.random() * this.memory.length);
             if (!indices.has(index)) {
                 indices.add(index);
                 batch.push(this.memory[index]);
@@ -127,7 +364,41 @@ export class Agent {
         return batch;
     }
 
+    samplePrioritized(size) {
+        const batch = [];
+        const indices = [];
+        const weights = [];
+        const total = this.priorityTree.total();
+        const segment = total / size;
+        const beta = this.getPriorityBeta();
+        let maxWeight = 0;
+
+        // Stratified sampling: one draw from each equal slice of the cumulative priority
+        for (let i = 0; i < size; i++) {
+            const value = segment * (i + this.rng.random());
+            const index = Math.min(this.priorityTree.find(value), this.memory.length - 1);
+            const probability = this.priorityTree.get(index) / total;
+            const weight = Math.pow(this.memory.length * probability, -beta);
+
+            indices.push(index);
+            batch.push(this.memory[index]);
+            weights.push(weight);
+            maxWeight = Math.max(maxWeight, weight);
+        }
+
+        // Normalize so weights only ever scale updates down
+        return {
+            batch: batch,
+            indices: indices,
+            weights: weights.map(w => w / maxWeight)
+        };
+    }
+
     async trainEpisode(isDDQN = false) {
+        if (this.env.numEnvs) {
+            return this.trainVectorEpisode(isDDQN);
+        }
+
         // Update target network for DDQN
         if (isDDQN && this.episode % this.targetUpdateFreq === 0 && this.model.updateTarget) {
             this.model.updateTarget();
@@ -135,7 +406,7 @@ export class Agent {
 
         // Check if resuming from a paused state
         let state, done, totalReward, steps;
-        const maxSteps = 30000;
+        const maxSteps = this.maxSteps;
 
         if (this.currentEpisodeState && this.isPaused) {
             // Resume from saved state
@@ -151,11 +422,13 @@ export class Agent {
             done = false;
             totalReward = 0;
             steps = 0;
+            this.interventions[0] = 0;
         }
 
         while (!done && steps < maxSteps && this.isTraining) {
-            // Choose action
-            const action = this.act(state);
+            // Choose action, unless the coach chose it
+            const expertAction = this.takeOverride(0);
+            const action = expertAction ?? this.act(state);
             this.env.lastAction = action;
 
             // Execute action
@@ -166,6 +439,9 @@ export class Agent {
 
             // Store experience
             this.remember(state, action, reward, nextState, done);
+            if (expertAction !== null) {
+                this.rememberExpert(state, action, reward, nextState, done);
+            }
 
             // Update state
             state = nextState;
@@ -173,6 +449,11 @@ export class Agent {
             steps++;
             this.totalSteps++;
 
+            // Per-step hook, e.g. for streaming game state out of a worker
+            if (this.stepCallback) {
+                await this.stepCallback({ steps: steps, action: action, reward: reward, done: done });
+            }
+
             // Small delay for visualization
             if (this.trainingDelay > 0) {
                 await this.sleep(this.trainingDelay);
@@ -193,10 +474,114 @@ export class Agent {
             }
         }
 
+        // Episode hit the step cap: it was truncated, not terminated
+        if (!done) {
+            this.flushNStep(false);
+        }
+
         // Clear saved state when episode completes
         this.currentEpisodeState = null;
         this.isPaused = false;
 
+        return this.finishEpisode(isDDQN, this.env.game.score, totalReward, steps, this.interventions[0]);
+    }
+
+    // Vectorized counterpart of trainEpisode: steps every environment in lockstep until at least
+    // one of them finishes an episode. The others keep running across calls (and across pauses).
+    async trainVectorEpisode(isDDQN = false) {
+        const env = this.env;
+
+        if (!this.vectorState) {
+            if (isDDQN && this.episode % this.targetUpdateFreq === 0 && this.model.updateTarget) {
+                this.model.updateTarget();
+            }
+            this.vectorState = {
+                states: env.reset(),
+                totalRewards: new Array(env.numEnvs).fill(0),
+                steps: new Array(env.numEnvs).fill(0)
+            };
+            this.interventions = new Array(env.numEnvs).fill(0);
+        } else if (this.isPaused) {
+            this.isPaused = false;
+            console.log(`Resuming training from step ${this.vectorState.steps[0]}`);
+        }
+
+        const vs = this.vectorState;
+        const finished = [];
+
+        while (finished.length === 0 && this.isTraining) {
+            const actions = this.actBatch(vs.states);
+            const expertAction = this.takeOverride(0);
+            if (expertAction !== null) {
+                actions[0] = expertAction;
+            }
+            const results = env.step(actions);
+
+            for (let i = 0; i < env.numEnvs; i++) {
+                const { state: nextState, reward, done } = results[i];
+                this.remember(vs.states[i], actions[i], reward, nextState, done, i);
+                if (i === 0 && expertAction !== null) {
+                    this.rememberExpert(vs.states[i], actions[i], reward, nextState, done);
+                }
+                vs.totalRewards[i] += reward;
+                vs.steps[i]++;
+                this.totalSteps++;
+
+                if (done || vs.steps[i] >= this.maxSteps) {
+                    if (!done) {
+                        this.flushNStep(false, i);
+                    }
+                    finished.push({
+                        score: env.envs[i].game.score,
+                        totalReward: vs.totalRewards[i],
+                        steps: vs.steps[i],
+                        interventions: this.interventions[i]
+                    });
+                    vs.states[i] = env.resetAt(i);
+                    vs.totalRewards[i] = 0;
+                    vs.steps[i] = 0;
+                    this.interventions[i] = 0;
+                } else {
+                    vs.states[i] = nextState;
+                }
+            }
+
+            if (this.stepCallback) {
+                await this.stepCallback({ steps: vs.steps[0], actions: actions });
+            }
+
+            if (this.trainingDelay > 0) {
+                await this.sleep(this.trainingDelay);
+            }
+
+            if (!this.isTraining && finished.length === 0) {
+                // Only the first environment's progress is reported; all of them resume from vectorState
+                this.currentEpisodeState = {
+                    totalReward: vs.totalRewards[0],
+                    steps: vs.steps[0]
+                };
+                this.isPaused = true;
+                console.log(`Training paused at step ${vs.steps[0]}`);
+                return null;
+            }
+        }
+
+        this.currentEpisodeState = null;
+        this.isPaused = false;
+
+        let result = null;
+        for (const { score, totalReward, steps, interventions } of finished) {
+            result = await this.finishEpisode(isDDQN, score, totalReward, steps, interventions);
+            if (isDDQN && this.episode % this.targetUpdateFreq === 0 && this.model.updateTarget) {
+                this.model.updateTarget();
+            }
+        }
+        // Several environments can finish on the same step
+        return { ...result, episodes: finished.length };
+    }
+
+    // Replay, exploration decay, statistics and logging once an episode has ended
+    async finishEpisode(isDDQN, score, totalReward, steps, interventions = 0) {
         // Experience replay
         await this.replay(isDDQN);
 
@@ -205,18 +590,20 @@ export class Agent {
 
         // Store statistics
         this.episodeRewards.push(totalReward);
-        this.episodeScores.push(this.env.game.score);
+        this.episodeScores.push(score);
         this.episodeLengths.push(steps);
+        this.episodeEpsilons.push(this.epsilon);
 
         // Log progress
         if (this.logCallback) {
             this.logCallback({
                 episode: this.episode,
-                score: this.env.game.score,
+                score: score,
                 reward: totalReward,
                 epsilon: this.epsilon,
                 steps: steps,
-                memorySize: this.memory.length
+                memorySize: this.memory.length,
+                interventions: interventions
             });
         }
 
@@ -224,7 +611,7 @@ export class Agent {
 
         return {
             episode: this.episode,
-            score: this.env.game.score,
+            score: score,
             reward: totalReward,
             steps: steps
         };
@@ -241,13 +628,20 @@ export class Agent {
             remainingEpisodes = episodes;
         }
 
-        for (let i = 0; i < remainingEpisodes && this.isTraining; i++) {
+        for (let i = 0; i < remainingEpisodes && this.isTraining;) {
             const result = await this.trainEpisode(isDDQN);
 
             // If training was paused mid-episode, break the loop
             if (result === null) {
                 break;
             }
+            i += result.episodes || 1;
+
+            // Between episodes every bit of training state lives in the agent and environment,
+            // so a checkpoint can be taken here without pausing the run
+            if (this.episodeCallback) {
+                await this.episodeCallback();
+            }
         }
 
         this.isTraining = false;
@@ -257,18 +651,168 @@ export class Agent {
         this.isTraining = false;
     }
 
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+    }
+
     reset() {
         // Reset all training state
         this.isTraining = false;
-        this.currentEpisodeState = null;
-        this.isPaused = false;
         this.episode = 0;
         this.totalSteps = 0;
-        this.memory = [];
-        this.memoryIndex = 0;
+        this.clearMemory();
         this.episodeRewards = [];
         this.episodeScores = [];
         this.episodeLengths = [];
+        this.episodeEpsilons = [];
+    }
+
+    // Hyperparameters edited in the UI (see hyperparameters.js); values are expected to be valid.
+    // A new replay capacity or replay mode rebuilds the priority tree, which empties the memory.
+    setHyperparameters(values) {
+        for (const name of ['gamma', 'epsilonDecay', 'epsilonMin', 'batchSize', 'targetUpdateFreq']) {
+            if (values[name] !== undefined) this[name] = values[name];
+        }
+        const memoryMaxLen = values.memoryMaxLen ?? this.memoryMaxLen;
+        const prioritized = values.prioritized ?? this.prioritized;
+        if (memoryMaxLen !== this.memoryMaxLen || prioritized !== this.prioritized) {
+            this.memoryMaxLen = memoryMaxLen;
+            this.prioritized = prioritized;
+            this.priorityTree = this.prioritized ? new SumTree(this.memoryMaxLen) : null;
+            this.clearMemory();
+        }
+    }
+
+    // Drop stored experiences and the interrupted episode, e.g. when states change shape
+    clearMemory() {
+        this.currentEpisodeState = null;
+        this.isPaused = false;
+        this.memory = [];
+        this.memoryIndex = 0;
+        this.nStepBuffers = [];
+        this.vectorState = null;
+        this.expertLabels = [];
+        this.pendingOverride = null;
+        this.interventions = [];
+        if (this.priorityTree) this.priorityTree.clear();
+        this.maxPriority = 1.0;
+    }
+
+    // Replay memory, counters, statistics and any interrupted episode, so train() continues exactly
+    // where it stopped. Transitions are packed into typed arrays (states as float32, which is what
+    // the networks see anyway) to keep checkpoints of a full buffer compact.
+    getCheckpoint() {
+        const stateDim = this.model.stateDim;
+        const packStates = (states) => {
+            const packed = new Float32Array(states.length * stateDim);
+            states.forEach((state, i) => packed.set(state, i * stateDim));
+            return packed;
+        };
+        const packTransitions = (transitions) => ({
+            states: packStates(transitions.map(t => t.state)),
+            nextStates: packStates(transitions.map(t => t.nextState)),
+            actions: Uint8Array.from(transitions, t => t.action),
+            rewards: Float64Array.from(transitions, t => t.reward),
+            dones: Uint8Array.from(transitions, t => (t.done ? 1 : 0)),
+            nSteps: Uint8Array.from(transitions, t => t.nSteps || 1)
+        });
+        const vs = this.vectorState;
+        const paused = this.currentEpisodeState;
+
+        return {
+            stateDim: stateDim,
+            episode: this.episode,
+            totalSteps: this.totalSteps,
+            epsilon: this.epsilon,
+            rng: this.rng.getState(),
+            memory: packTransitions(this.memory),
+            memoryIndex: this.memoryIndex,
+            priorities: this.priorityTree ? this.priorityTree.tree.slice() : null,
+            maxPriority: this.maxPriority,
+            nStepBuffers: this.nStepBuffers.map(buffer => buffer && packTransitions(buffer)),
+            expertLabels: packTransitions(this.expertLabels),
+            interventions: this.interventions.slice(),
+            vectorState: vs ? {
+                states: packStates(vs.states),
+                totalRewards: vs.totalRewards.slice(),
+                steps: vs.steps.slice()
+            } : null,
+            isPaused: this.isPaused,
+            currentEpisodeState: paused ? {
+                ...paused,
+                state: paused.state ? packStates([paused.state]) : null
+            } : null,
+            statistics: {
+                rewards: Float64Array.from(this.episodeRewards),
+                scores: Float64Array.from(this.episodeScores),
+                lengths: Float64Array.from(this.episodeLengths),
+                epsilons: Float64Array.from(this.episodeEpsilons)
+            }
+        };
+    }
+
+    restoreCheckpoint(checkpoint) {
+        const stateDim = this.model.stateDim;
+        if (checkpoint.stateDim !== stateDim) {
+            throw new Error(`Checkpoint states have ${checkpoint.stateDim} values, the network expects ${stateDim}`);
+        }
+        const unpackStates = (packed) => {
+            const states = [];
+            for (let offset = 0; offset < packed.length; offset += stateDim) {
+                states.push(packed.slice(offset, offset + stateDim));
+            }
+            return states;
+        };
+        const unpackTransitions = (packed) => {
+            const states = unpackStates(packed.states);
+            const nextStates = unpackStates(packed.nextStates);
+            return states.map((state, i) => ({
+                state: state,
+                action: packed.actions[i],
+                reward: packed.rewards[i],
+                nextState: nextStates[i],
+                done: packed.dones[i] === 1,
+                nSteps: packed.nSteps[i]
+            }));
+        };
+
+        this.clearMemory();
+        this.episode = checkpoint.episode;
+        this.totalSteps = checkpoint.totalSteps;
+        this.epsilon = checkpoint.epsilon;
+        this.rng.setState(checkpoint.rng);
+
+        // The agent is built from the checkpoint's config, so memory size and replay mode match
+        this.memory = unpackTransitions(checkpoint.memory);
+        this.memoryIndex = checkpoint.memoryIndex;
+        if (this.priorityTree && checkpoint.priorities) {
+            this.priorityTree.tree.set(checkpoint.priorities);
+        }
+        this.maxPriority = checkpoint.maxPriority;
+        // Pending n-step transitions carry no done flag or step count of their own
+        this.nStepBuffers = checkpoint.nStepBuffers.map(buffer => buffer && unpackTransitions(buffer)
+            .map(({ state, action, reward, nextState }) => ({ state, action, reward, nextState })));
+        // Checkpoints from before coach mode have no labels
+        this.expertLabels = checkpoint.expertLabels ? unpackTransitions(checkpoint.expertLabels) : [];
+        this.interventions = checkpoint.interventions ? checkpoint.interventions.slice() : [];
+
+        const vs = checkpoint.vectorState;
+        this.vectorState = vs ? {
+            states: unpackStates(vs.states),
+            totalRewards: vs.totalRewards.slice(),
+            steps: vs.steps.slice()
+        } : null;
+        this.isPaused = checkpoint.isPaused;
+        const paused = checkpoint.currentEpisodeState;
+        this.currentEpisodeState = paused ? {
+            ...paused,
+            state: paused.state ? unpackStates(paused.state)[0] : undefined
+        } : null;
+
+        this.episodeRewards = Array.from(checkpoint.statistics.rewards);
+        this.episodeScores = Array.from(checkpoint.statistics.scores);
+        this.episodeLengths = Array.from(checkpoint.statistics.lengths);
+        this.episodeEpsilons = Array.from(checkpoint.statistics.epsilons);
     }
 
     sleep(ms) {
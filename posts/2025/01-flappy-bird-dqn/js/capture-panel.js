@@ -0,0 +1,195 @@
+// Clip recording card: frame rate and format for the Record control, then trimming and exporting the
+// recorded clip (see capture.js)
+import { CAPTURE_FPS, MAX_CAPTURE_SECONDS, CanvasCapture, encodeGif, encodeWebm, isWebmSupported } from './capture.js';
+
+const FORMATS = {
+    gif: { label: 'GIF', encode: encodeGif },
+    webm: { label: 'WebM', encode: encodeWebm }
+};
+
+function formatSize(bytes) {
+    return bytes < 1048576 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+export class CapturePanel {
+    // canvas: the canvas to record; options: { download(blob, fileName), onRecordingChange(recording) }
+    constructor(container, canvas, options = {}) {
+        this.container = container;
+        this.capture = new CanvasCapture(canvas);
+        this.download = options.download || (() => {});
+        this.onRecordingChange = options.onRecordingChange || (() => {});
+        this.fps = 15;
+        this.format = 'gif';
+        // Recorded clip: { frames, fps, width, height }
+        this.clip = null;
+        this.encoding = false;
+
+        this.build();
+    }
+
+    build() {
+        const webm = isWebmSupported();
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Recording</h3>
+          <div class="chart-toolbar">
+            <label>Frame rate <select id="capture-fps-select">${CAPTURE_FPS.map(fps => `<option value="${fps}" ${fps === this.fps ? 'selected' : ''}>${fps} fps</option>`).join('')}</select></label>
+            <label>Format <select id="capture-format-select">
+              <option value="gif">GIF</option>
+              <option value="webm" ${webm ? '' : 'disabled'}>WebM${webm ? '' : ' (not supported by this browser)'}</option>
+            </select></label>
+            <span class="chart-hint" id="capture-status"></span>
+          </div>
+          <div class="capture-clip" id="capture-clip" hidden>
+            <canvas id="capture-preview" class="capture-preview"></canvas>
+            <div class="capture-trim">
+              <label>Start <input type="range" id="capture-trim-start" min="0" value="0"> <span id="capture-start-time"></span></label>
+              <label>End <input type="range" id="capture-trim-end" min="0" value="0"> <span id="capture-end-time"></span></label>
+              <div class="capture-actions">
+                <button class="control-btn primary" id="capture-export-btn">Export</button>
+                <button class="control-btn secondary" id="capture-discard-btn">Discard</button>
+              </div>
+            </div>
+          </div>
+          <div class="chart-hint">Record captures the game canvas as drawn, overlays included, for up to ${MAX_CAPTURE_SECONDS / 60} minutes. GIFs are encoded right away; a WebM takes as long to encode as the clip lasts.</div>
+        `;
+
+        this.dom = {
+            fps: document.getElementById('capture-fps-select'),
+            format: document.getElementById('capture-format-select'),
+            status: document.getElementById('capture-status'),
+            clip: document.getElementById('capture-clip'),
+            preview: document.getElementById('capture-preview'),
+            start: document.getElementById('capture-trim-start'),
+            end: document.getElementById('capture-trim-end'),
+            startTime: document.getElementById('capture-start-time'),
+            endTime: document.getElementById('capture-end-time'),
+            exportBtn: document.getElementById('capture-export-btn'),
+            discardBtn: document.getElementById('capture-discard-btn')
+        };
+
+        this.dom.fps.addEventListener('change', (e) => { this.fps = parseInt(e.target.value, 10); });
+        this.dom.format.addEventListener('change', (e) => { this.format = e.target.value; });
+        // The two ends can't cross; the preview shows the frame of the end being moved
+        this.dom.start.addEventListener('input', () => {
+            this.dom.start.value = String(Math.min(parseInt(this.dom.start.value, 10), parseInt(this.dom.end.value, 10)));
+            this.updateTrim(parseInt(this.dom.start.value, 10));
+        });
+        this.dom.end.addEventListener('input', () => {
+            this.dom.end.value = String(Math.max(parseInt(this.dom.end.value, 10), parseInt(this.dom.start.value, 10)));
+            this.updateTrim(parseInt(this.dom.end.value, 10));
+        });
+        this.dom.exportBtn.addEventListener('click', () => this.exportClip());
+        this.dom.discardBtn.addEventListener('click', () => this.discard());
+    }
+
+    get recording() {
+        return this.capture.recording;
+    }
+
+    toggle() {
+        if (this.recording) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.recording || this.encoding) return;
+        this.discard();
+        this.capture.start(this.fps);
+        this.dom.fps.disabled = true;
+        this.setStatus('● Recording');
+        this.onRecordingChange(true);
+    }
+
+    async stop() {
+        if (!this.recording) return;
+        const fps = this.capture.fps;
+        const frames = await this.capture.stop();
+        this.dom.fps.disabled = false;
+        this.onRecordingChange(false);
+        if (frames.length === 0) {
+            this.setStatus('Nothing recorded');
+            return;
+        }
+        const { width, height } = this.capture.canvas;
+        this.clip = { frames, fps, width, height };
+        this.dom.preview.width = width;
+        this.dom.preview.height = height;
+        this.dom.start.max = this.dom.end.max = String(frames.length - 1);
+        this.dom.start.value = '0';
+        this.dom.end.value = String(frames.length - 1);
+        this.dom.clip.hidden = false;
+        this.setStatus(`Recorded ${frames.length} frames`);
+        this.updateTrim(0);
+    }
+
+    // Called after the canvas is drawn; stops the recording once it is full
+    captureFrame(now) {
+        if (!this.recording) return;
+        if (!this.capture.captureFrame(now)) {
+            this.stop();
+            return;
+        }
+        this.setStatus(`● Recording ${(this.capture.frames.length / this.capture.fps).toFixed(1)} s`);
+    }
+
+    formatTime(frame) {
+        return `${(frame / this.clip.fps).toFixed(1)} s`;
+    }
+
+    async updateTrim(previewFrame) {
+        const start = parseInt(this.dom.start.value, 10);
+        const end = parseInt(this.dom.end.value, 10);
+        this.dom.startTime.textContent = this.formatTime(start);
+        const count = end - start + 1;
+        this.dom.endTime.textContent = `${this.formatTime(end + 1)} (${count} frame${count === 1 ? '' : 's'})`;
+        const bitmap = await createImageBitmap(this.clip.frames[previewFrame]);
+        this.dom.preview.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+    }
+
+    async exportClip() {
+        if (!this.clip || this.encoding) return;
+        const { frames, fps, width, height } = this.clip;
+        const start = parseInt(this.dom.start.value, 10);
+        const end = parseInt(this.dom.end.value, 10);
+        const format = FORMATS[this.format];
+        this.setEncoding(true);
+        try {
+            const blob = await format.encode(frames.slice(start, end + 1), {
+                width: width,
+                height: height,
+                fps: fps,
+                onProgress: (done, total) => this.setStatus(`Encoding ${format.label}… ${Math.round(done / total * 100)}%`)
+            });
+            this.download(blob, `flappy-bird-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${this.format}`);
+            this.setStatus(`Exported ${format.label}, ${formatSize(blob.size)}`);
+        } catch (error) {
+            console.error('Failed to export clip:', error);
+            this.setStatus(`Export failed: ${error.message}`);
+        } finally {
+            this.setEncoding(false);
+        }
+    }
+
+    setEncoding(encoding) {
+        this.encoding = encoding;
+        for (const el of [this.dom.exportBtn, this.dom.discardBtn, this.dom.start, this.dom.end, this.dom.format]) {
+            el.disabled = encoding;
+        }
+    }
+
+    discard() {
+        if (this.encoding) return;
+        this.clip = null;
+        this.dom.clip.hidden = true;
+        this.setStatus('');
+    }
+
+    setStatus(text) {
+        this.dom.status.textContent = text;
+    }
+}
@@ -0,0 +1,306 @@
+// Canvas capture for GIF and WebM clips: frames are grabbed from a canvas as PNGs while recording,
+// then the chosen range is encoded in the browser, to GIF by the encoder below or to WebM by
+// playing the frames into a MediaRecorder
+export const CAPTURE_FPS = [10, 15, 20, 30];
+// Recording stops by itself after this long, so a forgotten recording can't fill up memory
+export const MAX_CAPTURE_SECONDS = 120;
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+// GIF frames are stored with a palette of at most this many colors
+const GIF_COLORS = 256;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function isWebmSupported() {
+    return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+        WEBM_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+// Grabs frames of a canvas at a fixed rate. captureFrame() is called after every render, so a frame
+// holds everything drawn on the canvas, overlays included.
+export class CanvasCapture {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.fps = 15;
+        this.frames = [];
+        this.recording = false;
+        this.nextFrameTs = 0;
+        // PNG encodes still running; frames[i] is filled in when the i-th finishes
+        this.pending = [];
+    }
+
+    get maxFrames() {
+        return this.fps * MAX_CAPTURE_SECONDS;
+    }
+
+    start(fps) {
+        this.fps = fps;
+        this.frames = [];
+        this.pending = [];
+        this.recording = true;
+        this.nextFrameTs = performance.now();
+    }
+
+    // Resolves with the frames (PNG Blobs) once all of them are encoded
+    async stop() {
+        this.recording = false;
+        await Promise.all(this.pending);
+        this.pending = [];
+        return this.frames;
+    }
+
+    // Returns false once the recording is full
+    captureFrame(now) {
+        if (!this.recording || now < this.nextFrameTs) return true;
+        const interval = 1000 / this.fps;
+        // Frames are due on a fixed grid; one missed (e.g. in a background tab) is skipped, not caught up
+        this.nextFrameTs = Math.max(this.nextFrameTs + interval, now);
+        const index = this.frames.length;
+        this.frames.push(null);
+        this.pending.push(new Promise(resolve => this.canvas.toBlob(blob => {
+            this.frames[index] = blob;
+            resolve();
+        }, 'image/png')));
+        return this.frames.length < this.maxFrames;
+    }
+}
+
+// Decodes PNG frames to ImageData, one at a time
+async function readFrame(blob, ctx) {
+    const bitmap = await createImageBitmap(blob);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height);
+}
+
+function createScratchContext(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas.getContext('2d', { willReadFrequently: true });
+}
+
+// Most frequent colors of the frames as 0xRRGGBB. The game is drawn in few flat colors, so this
+// keeps all of them and loses only rare ones, e.g. text antialiasing.
+function buildPalette(images) {
+    const counts = new Map();
+    for (const { data } of images) {
+        for (let p = 0; p < data.length; p += 4) {
+            const color = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+            counts.set(color, (counts.get(color) || 0) + 1);
+        }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, GIF_COLORS).map(([color]) => color);
+}
+
+// Palette index of every pixel; colors not in the palette get the nearest one
+function indexPixels({ data }, palette, cache) {
+    const indices = new Uint8Array(data.length / 4);
+    for (let p = 0, i = 0; p < data.length; p += 4, i++) {
+        const color = (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+        let index = cache.get(color);
+        if (index === undefined) {
+            let best = Infinity;
+            for (let c = 0; c < palette.length; c++) {
+                const dr = data[p] - (palette[c] >> 16);
+                const dg = data[p + 1] - ((palette[c] >> 8) & 0xff);
+                const db = data[p + 2] - (palette[c] & 0xff);
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < best) {
+                    best = distance;
+                    index = c;
+                }
+            }
+            cache.set(color, index);
+        }
+        indices[i] = index;
+    }
+    return indices;
+}
+
+// Growable byte buffer
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1 << 16);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const bytes = new Uint8Array(this.bytes.length * 2);
+            bytes.set(this.bytes);
+            this.bytes = bytes;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    word(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    toBlob(type) {
+        return new Blob([this.bytes.subarray(0, this.length)], { type: type });
+    }
+}
+
+// GIF's variable-length LZW, written as data sub-blocks of at most 255 bytes
+function writeLzw(out, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+    const flushBlock = () => {
+        out.byte(blockLength);
+        for (let i = 0; i < blockLength; i++) out.byte(block[i]);
+        blockLength = 0;
+    };
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xff;
+            if (blockLength === 255) flushBlock();
+            bits >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    out.byte(minCodeSize);
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full: start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xff;
+        if (blockLength === 255) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+    out.byte(0);
+}
+
+// Looping GIF of PNG frames shown 1/fps s each. options: { width, height, fps, onProgress(done, total) }
+export async function encodeGif(frames, { width, height, fps, onProgress = () => {} }) {
+    const ctx = createScratchContext(width, height);
+    // Colors are counted on a sample of frames, which all share one palette
+    const step = Math.max(1, Math.floor(frames.length / 20));
+    const samples = [];
+    for (let i = 0; i < frames.length; i += step) {
+        samples.push(await readFrame(frames[i], ctx));
+    }
+    const palette = buildPalette(samples);
+    const cache = new Map();
+
+    const out = new ByteWriter();
+    out.string('GIF89a');
+    out.word(width);
+    out.word(height);
+    // Global color table of 256 entries, 8 bits per primary
+    out.byte(0xf7);
+    out.byte(0);
+    out.byte(0);
+    for (let c = 0; c < GIF_COLORS; c++) {
+        const color = palette[c] || 0;
+        out.byte(color >> 16);
+        out.byte((color >> 8) & 0xff);
+        out.byte(color & 0xff);
+    }
+    // Loop forever
+    out.byte(0x21);
+    out.byte(0xff);
+    out.byte(11);
+    out.string('NETSCAPE2.0');
+    out.byte(3);
+    out.byte(1);
+    out.word(0);
+    out.byte(0);
+
+    // Delays are in 1/100 s, so e.g. 15 fps plays at 14.3 fps
+    const delay = Math.round(100 / fps);
+    for (let i = 0; i < frames.length; i++) {
+        const image = await readFrame(frames[i], ctx);
+        // Graphic control extension: frame delay, no transparency
+        out.byte(0x21);
+        out.byte(0xf9);
+        out.byte(4);
+        out.byte(0);
+        out.word(delay);
+        out.byte(0);
+        out.byte(0);
+        // Image descriptor: the whole screen, global palette
+        out.byte(0x2c);
+        out.word(0);
+        out.word(0);
+        out.word(width);
+        out.word(height);
+        out.byte(0);
+        writeLzw(out, indexPixels(image, palette, cache), 8);
+        onProgress(i + 1, frames.length);
+        await sleep(0);
+    }
+    out.byte(0x3b);
+    return out.toBlob('image/gif');
+}
+
+// WebM of PNG frames, recorded in real time: encoding takes as long as the clip.
+// options: { width, height, fps, onProgress(done, total) }
+export async function encodeWebm(frames, { width, height, fps, onProgress = () => {} }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: 2500000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    const startTs = performance.now();
+    for (let i = 0; i < frames.length; i++) {
+        const bitmap = await createImageBitmap(frames[i]);
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        track.requestFrame();
+        onProgress(i + 1, frames.length);
+        await sleep(startTs + (i + 1) * 1000 / fps - performance.now());
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return new Blob(chunks, { type: 'video/webm' });
+}
@@ -0,0 +1,454 @@
+// Charts for the training dashboard, drawn on plain canvases: the learning curve and histograms.
+// Per-episode values are min/max-decimated to one column per pixel, so long runs stay cheap to draw.
+
+export const CHART_METRICS = {
+    score: { label: 'Score' },
+    reward: { label: 'Reward' },
+    length: { label: 'Length' }
+};
+
+const COLORS = {
+    raw: 'rgba(33, 150, 243, 0.35)',
+    average: '#2196f3',
+    epsilon: '#ff9800',
+    selection: 'rgba(33, 150, 243, 0.15)'
+};
+
+// Symmetric log scale, so negative rewards can be shown on it too
+function symlog(value) {
+    return Math.sign(value) * Math.log10(1 + Math.abs(value));
+}
+
+// Round step for about `count` ticks between min and max
+function niceStep(min, max, count) {
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const residual = rough / magnitude;
+    if (residual > 5) return 10 * magnitude;
+    if (residual > 2) return 5 * magnitude;
+    if (residual > 1) return 2 * magnitude;
+    return magnitude;
+}
+
+// Match a canvas' backing store to its displayed size, so lines stay sharp; returns the pixel ratio
+function fitCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (width > 0 && height > 0 && (canvas.width !== width || canvas.height !== height)) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+    return ratio;
+}
+
+export class LearningCurveChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.movingAverageWindow = options.movingAverageWindow || 100;
+        // In CSS pixels; the canvas itself is sized for the device pixel ratio
+        this.padding = { left: 48, right: 40, top: 10, bottom: 22 };
+        this.pixelRatio = 1;
+
+        // Display settings
+        this.metric = 'score';
+        this.logScale = false;
+        this.showEpsilon = true;
+        // [start, end) episode indices shown, or null to follow the whole run
+        this.range = null;
+
+        this.clear();
+
+        // Drag across the plot to zoom into those episodes; double-click to show the whole run
+        this.drag = null;
+        canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mouseup', () => this.onMouseUp());
+        canvas.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    clear() {
+        this.series = { score: [], reward: [], length: [], epsilon: [] };
+        // Prefix sums of each metric, for O(1) moving averages at any episode
+        this.prefixSums = { score: [0], reward: [0], length: [0] };
+        this.range = null;
+        this.requestDraw();
+    }
+
+    // point: { score, reward, length, epsilon } of one finished episode
+    push(point) {
+        for (const metric of Object.keys(CHART_METRICS)) {
+            const value = point[metric];
+            this.series[metric].push(value);
+            const sums = this.prefixSums[metric];
+            sums.push(sums[sums.length - 1] + value);
+        }
+        this.series.epsilon.push(point.epsilon);
+        this.requestDraw();
+    }
+
+    // Replace everything, e.g. with the history of a restored run
+    setHistory({ scores, rewards, lengths, epsilons }) {
+        this.clear();
+        for (let i = 0; i < scores.length; i++) {
+            this.push({ score: scores[i], reward: rewards[i], length: lengths[i], epsilon: epsilons[i] });
+        }
+    }
+
+    setMetric(metric) {
+        if (!CHART_METRICS[metric]) return;
+        this.metric = metric;
+        this.requestDraw();
+    }
+
+    setLogScale(logScale) {
+        this.logScale = logScale;
+        this.requestDraw();
+    }
+
+    setShowEpsilon(showEpsilon) {
+        this.showEpsilon = showEpsilon;
+        this.requestDraw();
+    }
+
+    setRange(start, end) {
+        const count = this.series.score.length;
+        start = Math.max(0, Math.floor(start));
+        end = Math.min(count, Math.ceil(end));
+        // Zooming below a couple of episodes has nothing left to show
+        if (end - start < 2) return;
+        this.range = [start, end];
+        this.requestDraw();
+    }
+
+    resetZoom() {
+        this.range = null;
+        this.requestDraw();
+    }
+
+    movingAverage(metric, index) {
+        const sums = this.prefixSums[metric];
+        const from = Math.max(0, index + 1 - this.movingAverageWindow);
+        return (sums[index + 1] - sums[from]) / (index + 1 - from);
+    }
+
+    // Redraws are coalesced to one per animation frame, however many episodes arrive
+    requestDraw() {
+        if (this.drawPending) return;
+        this.drawPending = true;
+        requestAnimationFrame(() => {
+            this.drawPending = false;
+            this.draw();
+        });
+    }
+
+    getPlotArea() {
+        const ratio = this.pixelRatio;
+        const { left, right, top, bottom } = this.padding;
+        return {
+            x: left * ratio,
+            y: top * ratio,
+            width: Math.max(1, this.canvas.width - (left + right) * ratio),
+            height: Math.max(1, this.canvas.height - (top + bottom) * ratio)
+        };
+    }
+
+    // Episode index under a canvas x coordinate
+    episodeAt(canvasX) {
+        const [start, end] = this.range || [0, this.series.score.length];
+        const plot = this.getPlotArea();
+        const t = Math.min(1, Math.max(0, (canvasX - plot.x) / plot.width));
+        return start + t * (end - start);
+    }
+
+    toCanvasX(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (event.clientX - rect.left) * (this.canvas.width / rect.width);
+    }
+
+    onMouseDown(event) {
+        if (this.series.score.length < 2) return;
+        const x = this.toCanvasX(event);
+        this.drag = { from: x, to: x };
+    }
+
+    onMouseMove(event) {
+        if (!this.drag) return;
+        this.drag.to = this.toCanvasX(event);
+        this.requestDraw();
+    }
+
+    onMouseUp() {
+        if (!this.drag) return;
+        const { from, to } = this.drag;
+        this.drag = null;
+        // Ignore clicks; only a real drag selects a range
+        if (Math.abs(to - from) >= 4) {
+            this.setRange(this.episodeAt(Math.min(from, to)), this.episodeAt(Math.max(from, to)));
+        } else {
+            this.requestDraw();
+        }
+    }
+
+    resize() {
+        this.pixelRatio = fitCanvas(this.canvas);
+        return this.pixelRatio;
+    }
+
+    // One entry per pixel column: min/max of the raw values in it and the moving average and epsilon
+    // at its last episode. Without decimation every episode gets its own entry.
+    buildColumns(start, end, width) {
+        const values = this.series[this.metric];
+        const count = end - start;
+        const columns = Math.min(count, Math.max(1, Math.floor(width)));
+        const result = [];
+        for (let c = 0; c < columns; c++) {
+            const from = start + Math.floor((c * count) / columns);
+            const to = start + Math.floor(((c + 1) * count) / columns);
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = from; i < to; i++) {
+                if (values[i] < min) min = values[i];
+                if (values[i] > max) max = values[i];
+            }
+            result.push({
+                episode: (from + to - 1) / 2,
+                min: min,
+                max: max,
+                average: this.movingAverage(this.metric, to - 1),
+                epsilon: this.series.epsilon[to - 1]
+            });
+        }
+        return result;
+    }
+
+    draw() {
+        const ratio = this.resize();
+        const ctx = this.ctx;
+        const plot = this.getPlotArea();
+        const textColor = getComputedStyle(this.canvas).color || '#888';
+        const fontSize = Math.round(11 * ratio);
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.fillStyle = textColor;
+        ctx.strokeStyle = textColor;
+
+        const count = this.series.score.length;
+        if (count === 0) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No episodes yet', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+
+        const [start, end] = this.range || [0, count];
+        const columns = this.buildColumns(start, end, plot.width);
+        const scale = this.logScale ? symlog : (v) => v;
+
+        // Vertical extent over the visible raw values and averages
+        let yMin = Infinity;
+        let yMax = -Infinity;
+        for (const column of columns) {
+            yMin = Math.min(yMin, scale(column.min), scale(column.average));
+            yMax = Math.max(yMax, scale(column.max), scale(column.average));
+        }
+        if (yMax - yMin < 1e-9) {
+            yMin -= 1;
+            yMax += 1;
+        }
+
+        const xOf = (episode) => plot.x + ((episode - start + 0.5) / (end - start)) * plot.width;
+        const yOf = (value) => plot.y + plot.height - ((scale(value) - yMin) / (yMax - yMin)) * plot.height;
+
+        this.drawAxes(plot, start, end, yMin, yMax, scale, xOf, fontSize);
+
+        // Raw values: a min-max bar per column, or a line when every episode has its own column
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.x, plot.y, plot.width, plot.height);
+        ctx.clip();
+        ctx.lineWidth = ratio;
+        ctx.strokeStyle = COLORS.raw;
+        ctx.beginPath();
+        if (columns.length < end - start) {
+            for (const column of columns) {
+                const x = Math.round(xOf(column.episode)) + 0.5;
+                ctx.moveTo(x, yOf(column.min) + 0.5);
+                ctx.lineTo(x, yOf(column.max) - 0.5);
+            }
+        } else {
+            columns.forEach((column, i) => {
+                const method = i === 0 ? 'moveTo' : 'lineTo';
+                ctx[method](xOf(column.episode), yOf(column.min));
+            });
+        }
+        ctx.stroke();
+
+        // Moving average
+        ctx.lineWidth = 2 * ratio;
+        ctx.strokeStyle = COLORS.average;
+        ctx.beginPath();
+        columns.forEach((column, i) => {
+            const method = i === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](xOf(column.episode), yOf(column.average));
+        });
+        ctx.stroke();
+
+        // Epsilon against its own 0-1 axis on the right
+        if (this.showEpsilon) {
+            const yOfEpsilon = (epsilon) => plot.y + plot.height - epsilon * plot.height;
+            ctx.lineWidth = ratio;
+            ctx.strokeStyle = COLORS.epsilon;
+            ctx.setLineDash([4 * ratio, 3 * ratio]);
+            ctx.beginPath();
+            columns.forEach((column, i) => {
+                const method = i === 0 ? 'moveTo' : 'lineTo';
+                ctx[method](xOf(column.episode), yOfEpsilon(column.epsilon));
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Zoom selection in progress
+        if (this.drag) {
+            const from = Math.min(this.drag.from, this.drag.to);
+            const to = Math.max(this.drag.from, this.drag.to);
+            ctx.fillStyle = COLORS.selection;
+            ctx.fillRect(from, plot.y, to - from, plot.height);
+        }
+        ctx.restore();
+    }
+
+    // yMin/yMax are in scaled units (log10 on a log scale)
+    drawAxes(plot, start, end, yMin, yMax, scale, xOf, fontSize) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        // Plot frame
+        ctx.globalAlpha = 0.3;
+        ctx.strokeRect(plot.x + 0.5, plot.y + 0.5, plot.width - 1, plot.height - 1);
+        ctx.globalAlpha = 0.8;
+
+        // Value ticks on the left (log scale: 0, ±1, ±10, ±100, ...)
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const yTicks = [];
+        if (this.logScale) {
+            yTicks.push(0);
+            for (let v = 1; symlog(v) <= Math.max(Math.abs(yMin), Math.abs(yMax)); v *= 10) {
+                yTicks.push(v, -v);
+            }
+        } else {
+            const step = niceStep(yMin, yMax, 4);
+            for (let v = Math.ceil(yMin / step) * step; v <= yMax; v += step) {
+                yTicks.push(v);
+            }
+        }
+        for (const value of yTicks) {
+            const t = scale(value);
+            if (t < yMin || t > yMax) continue;
+            const y = plot.y + plot.height - ((t - yMin) / (yMax - yMin)) * plot.height;
+            const label = Math.abs(value) >= 1000 ? `${Math.round(value / 1000)}k` :
+                String(Math.round(value * 100) / 100);
+            ctx.fillText(label, plot.x - 4, y);
+        }
+
+        // Episode ticks along the bottom
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const xStep = Math.max(1, niceStep(start, end, 5));
+        for (let e = Math.ceil(start / xStep) * xStep; e < end; e += xStep) {
+            ctx.fillText(String(e), xOf(e), plot.y + plot.height + 4);
+        }
+
+        // Epsilon axis on the right
+        if (this.showEpsilon) {
+            ctx.fillStyle = COLORS.epsilon;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('ε 1', plot.x + plot.width + 4, plot.y + fontSize / 2);
+            ctx.fillText('0', plot.x + plot.width + 4, plot.y + plot.height - fontSize / 2);
+        }
+        ctx.restore();
+    }
+}
+
+// Bar chart of a histogram { start, width, counts } of integer values, e.g. evaluation scores
+export class HistogramChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.color = options.color || COLORS.average;
+        // In CSS pixels, like LearningCurveChart
+        this.padding = { left: 36, right: 10, top: 10, bottom: 22 };
+        this.histogram = null;
+    }
+
+    setHistogram(histogram) {
+        this.histogram = histogram;
+        this.draw();
+    }
+
+    draw() {
+        const ratio = fitCanvas(this.canvas);
+        const ctx = this.ctx;
+        const textColor = getComputedStyle(this.canvas).color || '#888';
+        const { left, right, top, bottom } = this.padding;
+        const plot = {
+            x: left * ratio,
+            y: top * ratio,
+            width: Math.max(1, this.canvas.width - (left + right) * ratio),
+            height: Math.max(1, this.canvas.height - (top + bottom) * ratio)
+        };
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.font = `${Math.round(11 * ratio)}px sans-serif`;
+        ctx.fillStyle = textColor;
+        ctx.strokeStyle = textColor;
+        if (!this.histogram) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('Not evaluated yet', this.canvas.width / 2, this.canvas.height / 2);
+            return;
+        }
+
+        const { start, width, counts } = this.histogram;
+        const maxCount = Math.max(...counts);
+        const barWidth = plot.width / counts.length;
+        const yOf = (count) => plot.y + plot.height - (count / maxCount) * plot.height;
+
+        ctx.fillStyle = this.color;
+        counts.forEach((count, i) => {
+            if (count === 0) return;
+            const x = plot.x + i * barWidth;
+            ctx.fillRect(x + ratio, yOf(count), Math.max(ratio, barWidth - 2 * ratio), plot.y + plot.height - yOf(count));
+        });
+
+        ctx.save();
+        ctx.fillStyle = textColor;
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.3;
+        ctx.strokeRect(plot.x + 0.5, plot.y + 0.5, plot.width - 1, plot.height - 1);
+        ctx.globalAlpha = 0.8;
+
+        // Episode counts on the left
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const yStep = Math.max(1, niceStep(0, maxCount, 3));
+        for (let c = 0; c <= maxCount; c += yStep) {
+            ctx.fillText(String(c), plot.x - 4, yOf(c));
+        }
+
+        // Lower bin edges along the bottom
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const binStep = Math.max(1, niceStep(0, counts.length, 6));
+        for (let i = 0; i < counts.length; i += binStep) {
+            ctx.fillText(String(start + i * width), plot.x + i * barWidth + barWidth / 2, plot.y + plot.height + 4);
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,121 @@
+// Training checkpoints: the complete state of a run (networks, optimizer, replay memory, counters,
+// statistics, random generators and games) in one file, so training resumes exactly where it stopped.
+//
+// File layout: "FBCK", header length (uint32), JSON header, then gzipped chunks back to back.
+// Typed arrays anywhere in the state (replay memory, weights, ...) are stored as raw bytes, cut into
+// chunks of at most CHUNK_BYTES that are compressed one at a time; in the header's copy of the
+// state each one is replaced by { $array: index } into header.arrays.
+
+export const CHECKPOINT_FORMAT = 'flappy-dqn-checkpoint';
+export const CHECKPOINT_VERSION = 1;
+
+const MAGIC = 'FBCK';
+const CHUNK_BYTES = 1 << 20;
+const ARRAY_TYPES = { Float32Array, Float64Array, Int32Array, Uint8Array };
+
+async function gzipTransform(bytes, compress) {
+    const stream = new Blob([bytes]).stream().pipeThrough(
+        compress ? new CompressionStream('gzip') : new DecompressionStream('gzip')
+    );
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Copy of value with every typed array moved out to arrays
+function extractArrays(value, arrays) {
+    if (ArrayBuffer.isView(value)) {
+        const type = value.constructor.name;
+        if (!ARRAY_TYPES[type]) throw new Error(`Unsupported array type in checkpoint: ${type}`);
+        arrays.push(value);
+        return { $array: arrays.length - 1 };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => extractArrays(item, arrays));
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = extractArrays(item, arrays);
+        }
+        return copy;
+    }
+    return value;
+}
+
+function insertArrays(value, arrays) {
+    if (Array.isArray(value)) {
+        return value.map(item => insertArrays(item, arrays));
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.$array === 'number') return arrays[value.$array];
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = insertArrays(item, arrays);
+        }
+        return copy;
+    }
+    return value;
+}
+
+// Blob holding state, a plain object whose leaves may be typed arrays
+export async function encodeCheckpoint(state) {
+    const arrays = [];
+    const header = {
+        format: CHECKPOINT_FORMAT,
+        version: CHECKPOINT_VERSION,
+        state: extractArrays(state, arrays),
+        arrays: []
+    };
+
+    const chunks = [];
+    for (const array of arrays) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const chunkSizes = [];
+        for (let offset = 0; offset < bytes.length; offset += CHUNK_BYTES) {
+            const chunk = await gzipTransform(bytes.subarray(offset, offset + CHUNK_BYTES), true);
+            chunks.push(chunk);
+            chunkSizes.push(chunk.length);
+        }
+        header.arrays.push({ type: array.constructor.name, length: array.length, chunks: chunkSizes });
+    }
+
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const prefix = new Uint8Array(8);
+    prefix.set(new TextEncoder().encode(MAGIC));
+    new DataView(prefix.buffer).setUint32(4, headerBytes.length, true);
+    return new Blob([prefix, headerBytes, ...chunks], { type: 'application/octet-stream' });
+}
+
+// Inverse of encodeCheckpoint; throws on anything that isn't a checkpoint this version can read
+export async function decodeCheckpoint(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < 8 || new TextDecoder().decode(bytes.subarray(0, 4)) !== MAGIC) {
+        throw new Error('Not a training checkpoint file');
+    }
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint32(4, true);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    if (header.format !== CHECKPOINT_FORMAT) {
+        throw new Error('Not a training checkpoint file');
+    }
+    if (header.version > CHECKPOINT_VERSION) {
+        throw new Error(`Checkpoint version ${header.version} is newer than this page supports (${CHECKPOINT_VERSION})`);
+    }
+
+    let offset = 8 + headerLength;
+    const arrays = [];
+    for (const { type, length, chunks } of header.arrays) {
+        const ArrayType = ARRAY_TYPES[type];
+        if (!ArrayType) throw new Error(`Unsupported array type in checkpoint: ${type}`);
+        const array = new ArrayType(length);
+        const target = new Uint8Array(array.buffer);
+        let position = 0;
+        for (const size of chunks) {
+            const chunk = await gzipTransform(bytes.subarray(offset, offset + size), false);
+            target.set(chunk, position);
+            position += chunk.length;
+            offset += size;
+        }
+        if (position !== target.length) throw new Error('Checkpoint file is truncated or corrupt');
+        arrays.push(array);
+    }
+    return insertArrays(header.state, arrays);
+}
@@ -0,0 +1,56 @@
+// Automatic curriculum: makes the game harder (smaller gap, faster scroll) as the agent improves
+
+// difficulty values override DEFAULT_DIFFICULTY (see game-core.js); minAvgScore is the
+// 100-episode average needed on the previous level to move up to this one
+export const CURRICULUM_LEVELS = [
+    { minAvgScore: 0, difficulty: {} },
+    { minAvgScore: 5, difficulty: { tubeGap: 11 } },
+    { minAvgScore: 10, difficulty: { tubeGap: 10, scrollSpeed: 1.25 } },
+    { minAvgScore: 15, difficulty: { tubeGap: 9, scrollSpeed: 1.5 } },
+    { minAvgScore: 20, difficulty: { tubeGap: 8, scrollSpeed: 1.75 } }
+];
+
+export class Curriculum {
+    constructor(levels = CURRICULUM_LEVELS, windowSize = 100) {
+        this.levels = levels;
+        this.windowSize = windowSize;
+        this.level = 0;
+        // Scores of the episodes played on the current level
+        this.scores = [];
+    }
+
+    get difficulty() {
+        return this.levels[this.level].difficulty;
+    }
+
+    getCheckpoint() {
+        return { level: this.level, scores: this.scores.slice() };
+    }
+
+    restoreCheckpoint({ level, scores }) {
+        this.level = Math.min(level, this.levels.length - 1);
+        this.scores = scores.slice();
+    }
+
+    // Record a finished episode; returns true when this moves the curriculum up a level.
+    // Only episodes on the current level count, so easier levels can't carry the agent past a harder one.
+    update(score) {
+        this.scores.push(score);
+        if (this.scores.length > this.windowSize) {
+            this.scores.shift();
+        }
+
+        const next = this.levels[this.level + 1];
+        if (!next || this.scores.length < this.windowSize) {
+            return false;
+        }
+        const avgScore = this.scores.reduce((a, b) => a + b, 0) / this.scores.length;
+        if (avgScore < next.minAvgScore) {
+            return false;
+        }
+
+        this.level++;
+        this.scores = [];
+        return true;
+    }
+}
@@ -0,0 +1,239 @@
+// Demonstrations card: records the player's games as demonstrations, pre-trains the network on them
+// in the worker before RL starts (see demonstrations.js and Agent.pretrain), and keeps score of how
+// many episodes each run needs to reach a few average scores, to measure what the demonstrations buy.
+// It also switches coach mode, where the player's flaps during training become expert labels.
+import { DEMONSTRATIONS_FORMAT, DEMONSTRATIONS_VERSION, validateDemonstrations } from './demonstrations.js';
+
+const STEP_OPTIONS = [250, 500, 1000, 2000];
+const EXPERT_WEIGHTS = [0.1, 0.5, 1, 2, 5];
+// 100-episode average scores whose first episode is reported per run
+const MILESTONES = [1, 5, 20];
+// Runs listed in the comparison table, newest first
+const MAX_RUNS = 8;
+
+function formatPercent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+export class DemonstrationPanel {
+    // trainer: TrainingClient; options: { canPretrain() (false once the run has started training),
+    // onPretrained(result), download(blob, fileName), expertWeight, onCoachChange(enabled),
+    // onExpertWeightChange(weight) }
+    constructor(container, trainer, options = {}) {
+        this.container = container;
+        this.trainer = trainer;
+        this.canPretrain = options.canPretrain || (() => true);
+        this.onPretrained = options.onPretrained || (() => {});
+        this.download = options.download || (() => {});
+        this.onCoachChange = options.onCoachChange || (() => {});
+        this.onExpertWeightChange = options.onExpertWeightChange || (() => {});
+        this.expertWeight = options.expertWeight ?? 1;
+        this.steps = options.steps || 500;
+        this.seedReplay = true;
+        // Whether the player's games are kept as demonstrations
+        this.recording = false;
+        this.recordings = [];
+        // Run being trained, and the ones before it: { seed, demonstrations, milestones }
+        this.runs = [];
+        this.currentRun = null;
+        this.running = false;
+
+        this.build();
+        this.trainer.on('pretrainProgress', ({ done, total, loss }) => {
+            if (this.running) this.setStatus(`Pre-training… ${done}/${total} steps, loss ${loss.toFixed(3)}`);
+        });
+    }
+
+    build() {
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Demonstrations &amp; Coaching</h3>
+          <div class="chart-toolbar">
+            <label><input type="checkbox" id="demo-record-checkbox"> Record demonstrations</label>
+            <span class="demo-summary" id="demo-summary"></span>
+            <button class="control-btn secondary" id="demo-export-btn">Export</button>
+            <button class="control-btn secondary" id="demo-import-btn">Import</button>
+            <button class="control-btn danger" id="demo-clear-btn">Clear</button>
+            <input type="file" id="demo-file-input" accept=".json" hidden>
+          </div>
+          <div class="chart-toolbar">
+            <label>Steps <select id="demo-steps-select">${STEP_OPTIONS.map(s => `<option value="${s}" ${s === this.steps ? 'selected' : ''}>${s}</option>`).join('')}</select></label>
+            <label><input type="checkbox" id="demo-seed-checkbox" ${this.seedReplay ? 'checked' : ''}> Seed replay memory</label>
+            <button class="control-btn primary" id="demo-pretrain-btn">Pre-train</button>
+            <span class="chart-hint" id="demo-status"></span>
+          </div>
+          <div class="chart-toolbar">
+            <label><input type="checkbox" id="coach-checkbox"> Coach mode</label>
+            <label>Label weight <select id="coach-weight-select">${EXPERT_WEIGHTS.map(w => `<option value="${w}" ${w === this.expertWeight ? 'selected' : ''}>${w}</option>`).join('')}</select></label>
+            <span class="chart-hint">While training, Space/↑ or a click on the game makes the first bird flap; each flap is kept as an expert label.</span>
+          </div>
+          <table class="demo-runs">
+            <thead><tr><th>Seed</th><th>Pre-trained on</th>${MILESTONES.map(m => `<th>Avg ≥ ${m}</th>`).join('')}</tr></thead>
+            <tbody id="demo-runs-body"></tbody>
+          </table>
+          <div class="chart-hint">While recording, every game you play is kept. Pre-training fits the network to your flaps before training starts; train the same seed with and without it to compare the episodes each run needs to reach these 100-episode averages.</div>
+        `;
+
+        this.dom = {
+            record: document.getElementById('demo-record-checkbox'),
+            summary: document.getElementById('demo-summary'),
+            exportBtn: document.getElementById('demo-export-btn'),
+            clear: document.getElementById('demo-clear-btn'),
+            fileInput: document.getElementById('demo-file-input'),
+            steps: document.getElementById('demo-steps-select'),
+            seedReplay: document.getElementById('demo-seed-checkbox'),
+            pretrain: document.getElementById('demo-pretrain-btn'),
+            status: document.getElementById('demo-status'),
+            runs: document.getElementById('demo-runs-body')
+        };
+
+        this.dom.record.addEventListener('change', (e) => { this.recording = e.target.checked; });
+        this.dom.exportBtn.addEventListener('click', () => this.exportDemonstrations());
+        document.getElementById('demo-import-btn').addEventListener('click', () => this.dom.fileInput.click());
+        this.dom.fileInput.addEventListener('change', (e) => this.importDemonstrations(e));
+        this.dom.clear.addEventListener('click', () => {
+            this.recordings = [];
+            this.updateSummary();
+        });
+        this.dom.steps.addEventListener('change', (e) => { this.steps = parseInt(e.target.value, 10); });
+        this.dom.seedReplay.addEventListener('change', (e) => { this.seedReplay = e.target.checked; });
+        this.dom.pretrain.addEventListener('click', () => this.pretrain());
+        document.getElementById('coach-checkbox').addEventListener('change', (e) => this.onCoachChange(e.target.checked));
+        document.getElementById('coach-weight-select').addEventListener('change', (e) => {
+            this.expertWeight = parseFloat(e.target.value);
+            this.onExpertWeightChange(this.expertWeight);
+        });
+        this.updateSummary();
+        this.renderRuns();
+    }
+
+    // A game the player finished (see EpisodeRecorder); kept while recording is on
+    addGame(recording) {
+        if (!this.recording) return;
+        this.recordings.push(recording);
+        this.updateSummary();
+    }
+
+    updateSummary() {
+        const count = this.recordings.length;
+        const frames = this.recordings.reduce((sum, r) => sum + r.frames, 0);
+        const best = Math.max(0, ...this.recordings.map(r => r.score));
+        this.dom.summary.textContent = count === 0 ? 'No demonstrations yet' :
+            `${count} game${count === 1 ? '' : 's'}, ${frames} frames, best score ${best}`;
+        this.dom.exportBtn.disabled = this.dom.clear.disabled = count === 0 || this.running;
+        this.dom.pretrain.disabled = count === 0 || this.running;
+    }
+
+    async pretrain() {
+        if (this.running || this.recordings.length === 0) return;
+        if (!this.canPretrain()) {
+            this.setStatus('Pre-training comes before RL: reset to start a new run, then pre-train it before training.');
+            return;
+        }
+        const run = this.currentRun;
+        this.running = true;
+        this.updateSummary();
+        this.setStatus('Pre-training…');
+        try {
+            const result = await this.trainer.request('pretrain', {
+                recordings: this.recordings,
+                steps: this.steps,
+                seedReplay: this.seedReplay
+            });
+            // A reset meanwhile threw the pre-trained network away
+            if (run !== this.currentRun) {
+                this.setStatus('The run was reset while pre-training.');
+                return;
+            }
+            if (run) {
+                run.demonstrations = run.demonstrations || [];
+                run.demonstrations.push(result);
+                this.renderRuns();
+            }
+            this.setStatus(`The greedy policy now picks your action in ${formatPercent(result.agreementAfter)} of ` +
+                `${result.transitions} states (${formatPercent(result.agreementBefore)} before), loss ${result.loss.toFixed(3)}` +
+                (result.seeded ? `; ${result.seeded} transitions added to replay memory.` : '.'));
+            this.onPretrained(result);
+        } catch (error) {
+            console.error('Failed to pre-train on demonstrations:', error);
+            this.setStatus(`Pre-training failed: ${error.message}`);
+        } finally {
+            this.running = false;
+            this.updateSummary();
+        }
+    }
+
+    // A new run trained from scratch, e.g. after a reset
+    startRun(seed) {
+        this.currentRun = { seed: seed, demonstrations: null, milestones: {} };
+        this.runs.unshift(this.currentRun);
+        this.runs.length = Math.min(this.runs.length, MAX_RUNS);
+        this.renderRuns();
+    }
+
+    // The current run didn't start from scratch (a loaded model or checkpoint), so it isn't measured
+    endRun() {
+        if (this.currentRun && !this.currentRun.demonstrations && Object.keys(this.currentRun.milestones).length === 0) {
+            this.runs.shift();
+        }
+        this.currentRun = null;
+        this.renderRuns();
+    }
+
+    // Called after every training episode; episode counts from 1
+    trackEpisode(episode, avgScore) {
+        const run = this.currentRun;
+        if (!run) return;
+        let changed = false;
+        for (const milestone of MILESTONES) {
+            if (run.milestones[milestone] === undefined && avgScore >= milestone) {
+                run.milestones[milestone] = episode;
+                changed = true;
+            }
+        }
+        if (changed) this.renderRuns();
+    }
+
+    renderRuns() {
+        this.dom.runs.innerHTML = this.runs.length === 0 ? `<tr><td colspan="${MILESTONES.length + 2}">No runs yet</td></tr>` :
+            this.runs.map(run => {
+                const demonstrations = run.demonstrations ? run.demonstrations.map(d =>
+                    `${d.episodes} games, ${d.steps} steps${d.seeded ? ', replay seeded' : ''}`).join(', ') : '–';
+                const milestones = MILESTONES.map(m => `<td>${run.milestones[m] !== undefined ? `episode ${run.milestones[m]}` : '–'}</td>`).join('');
+                return `<tr${run === this.currentRun ? ' class="current"' : ''}><td>${run.seed}</td><td>${demonstrations}</td>${milestones}</tr>`;
+            }).join('');
+    }
+
+    exportDemonstrations() {
+        if (this.recordings.length === 0) return;
+        const file = {
+            format: DEMONSTRATIONS_FORMAT,
+            version: DEMONSTRATIONS_VERSION,
+            exportedAt: Date.now(),
+            recordings: this.recordings
+        };
+        const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+        this.download(blob, `flappy-bird-demonstrations-${this.recordings.length}-games.json`);
+    }
+
+    // Imported games are added to the ones already kept
+    async importDemonstrations(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            validateDemonstrations(data);
+            this.recordings.push(...data.recordings);
+            this.updateSummary();
+            this.setStatus(`Imported ${data.recordings.length} games from ${file.name}.`);
+        } catch (error) {
+            console.error('Failed to import demonstrations:', error);
+            this.setStatus(`Failed to import ${file.name}: ${error.message}`);
+        }
+    }
+
+    setStatus(text) {
+        this.dom.status.textContent = text;
+    }
+}
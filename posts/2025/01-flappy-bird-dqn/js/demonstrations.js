@@ -0,0 +1,78 @@
+// Demonstrations: games the player recorded in "Record demonstrations" mode (episode recordings, see
+// recorder.js) turned into the (state, action, reward, next state) transitions an agent learns from.
+// Recordings are replayed frame for frame, so the states are exactly what Environment.getState returns
+// for the network being trained, features or pixels. The transitions are built in the training worker.
+import { GameCore } from './game-core.js';
+import { Environment } from './environment.js';
+import { validateRecording } from './recorder.js';
+
+export const DEMONSTRATIONS_FORMAT = 'flappy-dqn-demonstrations';
+export const DEMONSTRATIONS_VERSION = 1;
+
+// Greedy actions are compared with the demonstrated ones this many states at a time
+const AGREEMENT_BATCH_SIZE = 256;
+
+// Throws an Error describing the first problem with an imported demonstrations file
+export function validateDemonstrations(file) {
+    if (!file || typeof file !== 'object') throw new Error('Demonstrations file is not a JSON object');
+    if (file.format !== DEMONSTRATIONS_FORMAT) throw new Error('Not a demonstrations file');
+    if (file.version !== DEMONSTRATIONS_VERSION) {
+        throw new Error(`Unsupported demonstrations version ${file.version} (expected ${DEMONSTRATIONS_VERSION})`);
+    }
+    if (!Array.isArray(file.recordings)) throw new Error('Demonstrations file has no recordings');
+    file.recordings.forEach((recording, i) => {
+        try {
+            validateRecording(recording);
+        } catch (error) {
+            throw new Error(`Recording ${i + 1}: ${error.message}`);
+        }
+    });
+}
+
+// One { transitions, crashed } per recording. options: { observation, actionRepeat, reward } of the
+// environment being trained. A decision covers actionRepeat frames and counts as a flap if the player
+// flapped in any of them; the frames themselves are played as recorded.
+export function demonstrationEpisodes(recordings, options) {
+    const env = new Environment(new GameCore(), options);
+    const game = env.game;
+    return recordings.map(recording => {
+        game.applySnapshot(recording.start);
+        game.rng.setState(recording.rng);
+        // Fresh frame stack, filled with the first screen
+        env.setObservation(env.observation);
+        env.previousScore = game.score;
+
+        const transitions = [];
+        let state = env.getState();
+        for (let frame = 0; frame < recording.frames;) {
+            const end = Math.min(frame + env.actionRepeat, recording.frames);
+            const action = recording.actions.slice(frame, end).includes('1') ? env.actionSpace.JUMP : env.actionSpace.STAY;
+            env.lastAction = action;
+            let reward = 0;
+            for (; frame < end; frame++) {
+                if (recording.actions[frame] === '1') game.jump();
+                game.update();
+                reward += env.calculateReward();
+            }
+            if (env.observation === 'pixels') env.captureFrame();
+            const nextState = env.getState();
+            const done = game.gameState === game.GAME_OVER;
+            transitions.push({ state, action, reward, nextState, done, nSteps: 1 });
+            state = nextState;
+        }
+        return { transitions, crashed: game.gameState === game.GAME_OVER };
+    });
+}
+
+// Share of the transitions whose demonstrated action is the greedy action of model's mean network
+export function policyAgreement(model, transitions) {
+    let agreed = 0;
+    for (let start = 0; start < transitions.length; start += AGREEMENT_BATCH_SIZE) {
+        const batch = transitions.slice(start, start + AGREEMENT_BATCH_SIZE);
+        const actions = tf.tidy(() => model.predictMean(batch.map(t => t.state)).argMax(1).dataSync());
+        batch.forEach((t, i) => {
+            if (actions[i] === t.action) agreed++;
+        });
+    }
+    return transitions.length > 0 ? agreed / transitions.length : 0;
+}
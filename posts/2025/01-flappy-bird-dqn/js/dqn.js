@@ -1,9 +1,35 @@
 ﻿// Deep Q-Network Implementation
+import { DuelingAggregation, NoisyDense } from './layers.js';
+import { Random } from './random.js';
+
+// Plain copy of a tensor for checkpoints
+function encodeTensor(tensor) {
+    return { shape: tensor.shape, dtype: tensor.dtype, values: tensor.dataSync().slice() };
+}
+
+function decodeTensor({ shape, dtype, values }) {
+    return tf.tensor(values, shape, dtype);
+}
+
+// Importance-weighted mean squared TD error of the taken actions (actionMask is one-hot)
+function tdLoss(qValues, actionMask, tdTargets, sampleWeights) {
+    return tdTargets.sub(qValues.mul(actionMask).sum(1)).square().mul(sampleWeights).mean();
+}
+
 export class DQN {
-    constructor(stateDim, actionDim, hiddenDim = 64) {
+    constructor(stateDim, actionDim, hiddenDim = 64, options = {}) {
         this.stateDim = stateDim;
         this.actionDim = actionDim;
         this.hiddenDim = hiddenDim;
+        // Shape each flat state is reshaped to, e.g. [height, width, frames] for pixel observations
+        this.observationShape = options.observationShape || [stateDim];
+        // Noisy networks replace the layers after the first one with NoisyDense
+        this.noisy = options.noisy || false;
+        // Adam step size; setLearningRate changes it while training
+        this.learningRate = options.learningRate || 0.001;
+        // Seeds every weight initializer (and the noise of NoisyDense layers)
+        this.rng = new Random(options.seed);
+        this.seed = this.rng.seed;
 
         // Build model
         this.model = this.buildModel();
@@ -12,66 +38,146 @@ export class DQN {
     buildModel() {
         const model = tf.sequential({
             layers: [
-                tf.layers.dense({
+                this.denseLayer({
                     units: this.hiddenDim,
                     inputShape: [this.stateDim],
                     activation: 'relu'
-                }),
-                tf.layers.dense({
+                }, false),
+                this.denseLayer({
                     units: this.hiddenDim * 2,
                     activation: 'relu'
                 }),
-                tf.layers.dense({
+                this.denseLayer({
                     units: this.actionDim,
                     activation: 'linear'
                 })
             ]
         });
 
+        return this.compileModel(model);
+    }
+
+    // Dense layer with a seeded initializer; noisy networks use NoisyDense wherever noise is allowed
+    denseLayer(config, allowNoise = true) {
+        const seed = this.rng.nextSeed();
+        if (this.noisy && allowNoise) {
+            return new NoisyDense({ ...config, seed });
+        }
+        return tf.layers.dense({
+            ...config,
+            kernelInitializer: tf.initializers.glorotUniform({ seed })
+        });
+    }
+
+    compileModel(model) {
         model.compile({
-            optimizer: tf.train.adam(0.001),
+            optimizer: tf.train.adam(this.learningRate),
             loss: 'meanSquaredError'
         });
 
         return model;
     }
 
+    get architecture() {
+        return 'dqn';
+    }
+
+    // Only the online network is trained, so the target network's optimizer is left alone
+    setLearningRate(learningRate) {
+        this.learningRate = learningRate;
+        this.model.optimizer.learningRate = learningRate;
+    }
+
     dispose() {
         if (this.model && typeof this.model.dispose === 'function') {
             this.model.dispose();
         }
     }
 
+    // Accepts either an array of state vectors or an already batched [n, stateDim] tensor
+    toStateTensor(state) {
+        return state instanceof tf.Tensor ? state : tf.tensor2d(state, [state.length, this.stateDim]);
+    }
+
     predict(state) {
         return tf.tidy(() => {
-            const stateTensor = tf.tensor2d(state, [state.length, this.stateDim]);
-            return this.model.predict(stateTensor);
+            return this.model.predict(this.toStateTensor(state));
         });
     }
 
-    async update(states, targets) {
-        const stateTensor = tf.tensor2d(states, [states.length, this.stateDim]);
-        const targetTensor = tf.tensor2d(targets, [targets.length, this.actionDim]);
+    // Q-values of the mean network: identical to predict() unless the model has noisy layers.
+    // Used to inspect the policy without drawing noise, which would change a seeded run.
+    predictMean(state) {
+        const noisyLayers = this.model.layers.filter(layer => layer instanceof NoisyDense);
+        noisyLayers.forEach(layer => { layer.noiseEnabled = false; });
+        try {
+            return this.predict(state);
+        } finally {
+            noisyLayers.forEach(layer => { layer.noiseEnabled = true; });
+        }
+    }
+
+    // The online network's noisy layers keep one noise sample until releaseNoise(): a replay computes
+    // its TD targets and takes its gradient step on the same network, so a zero TD error gives a zero
+    // gradient instead of one that shrinks sigma
+    holdNoise() {
+        this.model.layers.filter(layer => layer instanceof NoisyDense).forEach(layer => layer.holdNoise());
+    }
+
+    releaseNoise() {
+        this.model.layers.filter(layer => layer instanceof NoisyDense).forEach(layer => layer.releaseNoise());
+    }
 
-        await this.model.fit(stateTensor, targetTensor, {
-            epochs: 1,
-            verbose: 0
-        });
+    // One gradient step on lossFn(qValues, actionMask) with the compiled optimizer (and so the same
+    // Adam moments throughout a run), on this network's weights only. Returns the loss.
+    async minimizeLoss(states, actions, lossFn) {
+        const stateTensor = this.toStateTensor(states);
+        const actionMask = tf.tidy(() => tf.oneHot(tf.tensor1d(actions, 'int32'), this.actionDim));
+        const cost = this.model.optimizer.minimize(() => {
+            const qValues = this.model.apply(stateTensor, { training: true });
+            return lossFn(qValues, actionMask);
+        }, true, this.model.trainableWeights.map(w => w.read()));
+        const loss = (await cost.data())[0];
 
-        stateTensor.dispose();
-        targetTensor.dispose();
+        // Only dispose the tensors created here; callers own the tensors they pass in
+        tf.dispose([cost, actionMask]);
+        if (stateTensor !== states) stateTensor.dispose();
+        return loss;
     }
 
-    async save(name) {
-        await this.model.save('localstorage://' + name);
+    // One gradient step on the squared TD error of the taken actions, weighted by weights (e.g.
+    // importance-sampling weights; 1 by default). The other actions have no target: fitting them to
+    // their own predictions is a no-op for a plain network, but with noisy layers the predictions
+    // come from another noise sample than the step's, and the loss would train the noise away.
+    // tdTargets: tensor of one target per state. Returns the loss.
+    async update(states, actions, tdTargets, weights = null) {
+        const sampleWeights = tf.tensor1d(weights || actions.map(() => 1));
+        try {
+            return await this.minimizeLoss(states, actions, (qValues, actionMask) =>
+                tdLoss(qValues, actionMask, tdTargets, sampleWeights));
+        } finally {
+            sampleWeights.dispose();
+        }
     }
 
-    async load(name) {
-        this.model = await tf.loadLayersModel('localstorage://' + name);
-        this.model.compile({
-            optimizer: tf.train.adam(0.001),
-            loss: 'meanSquaredError'
-        });
+    // Like update(), plus the large-margin classification loss of DQfD weighted by weight, with the
+    // taken actions as the expert's: max_a [Q(s, a) + margin * (a != aE)] - Q(s, aE). It is zero once
+    // the expert's action aE beats every other action by margin. expertWeights limits it to some
+    // samples (weighted mean, e.g. 1 for expert labels and 0 for the rest of the batch); by default
+    // it applies to all of them. Returns the loss.
+    async updateExpert(states, actions, tdTargets, { weights = null, margin = 0.8, weight = 1, expertWeights = null } = {}) {
+        const sampleWeights = tf.tensor1d(weights || actions.map(() => 1));
+        const expertSampleWeights = tf.tensor1d(expertWeights || actions.map(() => 1));
+        try {
+            return await this.minimizeLoss(states, actions, (qValues, actionMask) => {
+                const margins = tf.onesLike(actionMask).sub(actionMask).mul(margin);
+                const expertLoss = qValues.add(margins).max(1).sub(qValues.mul(actionMask).sum(1))
+                    .mul(expertSampleWeights).sum().div(expertSampleWeights.sum());
+                return tdLoss(qValues, actionMask, tdTargets, sampleWeights).add(expertLoss.mul(weight));
+            });
+        } finally {
+            tf.dispose([sampleWeights, expertSampleWeights]);
+        }
     }
 
     getWeights() {
@@ -81,12 +187,75 @@ export class DQN {
     setWeights(weights) {
         this.model.setWeights(weights);
     }
+
+    // NoisyDense layers of every network, online first; each draws from its own generator
+    getNoisyLayers() {
+        return [this.model, this.targetModel].filter(Boolean)
+            .flatMap(model => model.layers.filter(layer => layer instanceof NoisyDense));
+    }
+
+    // Weights, Adam's moment estimates and noise generators: with these, training continues
+    // with exactly the updates an uninterrupted run would have made
+    async getCheckpoint() {
+        const optimizer = this.model.optimizer;
+        const optimizerWeights = await optimizer.getWeights();
+        const checkpoint = {
+            weights: this.model.getWeights().map(encodeTensor),
+            targetWeights: this.targetModel ? this.targetModel.getWeights().map(encodeTensor) : null,
+            optimizer: optimizerWeights.map(({ name, tensor }) => ({ name, ...encodeTensor(tensor) })),
+            // Adam's bias corrections are running products; setWeights() would recompute them with
+            // pow(), which can differ in the last bit. They are private fields of the pinned tfjs
+            // version, so a build without them leaves the restore to setWeights().
+            optimizerBetas: optimizer.accBeta1 && optimizer.accBeta2 ?
+                [optimizer.accBeta1.dataSync()[0], optimizer.accBeta2.dataSync()[0]] : null,
+            noise: this.getNoisyLayers().map(layer => layer.rng.getState())
+        };
+        // The iteration count is a fresh scalar, the moments are the optimizer's own variables
+        optimizerWeights[0].tensor.dispose();
+        return checkpoint;
+    }
+
+    async restoreCheckpoint(checkpoint) {
+        const setModelWeights = (model, encoded) => {
+            const tensors = encoded.map(decodeTensor);
+            try {
+                model.setWeights(tensors);
+            } finally {
+                tf.dispose(tensors);
+            }
+        };
+        setModelWeights(this.model, checkpoint.weights);
+        if (this.targetModel && checkpoint.targetWeights) {
+            setModelWeights(this.targetModel, checkpoint.targetWeights);
+        }
+
+        // setWeights copies the tensors into new optimizer variables
+        const optimizerWeights = checkpoint.optimizer.map(({ name, ...tensor }) => ({ name, tensor: decodeTensor(tensor) }));
+        const optimizer = this.model.optimizer;
+        try {
+            await optimizer.setWeights(optimizerWeights);
+        } finally {
+            tf.dispose(optimizerWeights.map(w => w.tensor));
+        }
+        if (checkpoint.optimizerBetas && optimizer.accBeta1 && optimizer.accBeta2) {
+            tf.tidy(() => {
+                optimizer.accBeta1.assign(tf.scalar(checkpoint.optimizerBetas[0]));
+                optimizer.accBeta2.assign(tf.scalar(checkpoint.optimizerBetas[1]));
+            });
+        }
+
+        const noisyLayers = this.getNoisyLayers();
+        if (checkpoint.noise.length !== noisyLayers.length) {
+            throw new Error('Checkpoint does not match the network\'s noisy layers');
+        }
+        noisyLayers.forEach((layer, i) => layer.rng.setState(checkpoint.noise[i]));
+    }
 }
 
 // Double Deep Q-Network
 export class DDQN extends DQN {
-    constructor(stateDim, actionDim, hiddenDim = 64) {
-        super(stateDim, actionDim, hiddenDim);
+    constructor(stateDim, actionDim, hiddenDim = 64, options = {}) {
+        super(stateDim, actionDim, hiddenDim, options);
 
         // Create target network
         this.targetModel = this.buildModel();
@@ -95,11 +264,14 @@ export class DDQN extends DQN {
 
     predictTarget(state) {
         return tf.tidy(() => {
-            const stateTensor = tf.tensor2d(state, [state.length, this.stateDim]);
-            return this.targetModel.predict(stateTensor);
+            return this.targetModel.predict(this.toStateTensor(state));
         });
     }
 
+    get architecture() {
+        return 'ddqn';
+    }
+
     updateTarget() {
         // Copy weights from main model to target model
         const weights = this.model.getWeights();
@@ -113,4 +285,128 @@ export class DDQN extends DQN {
         }
         super.dispose();
     }
-}
\ No newline at end of file
+}
+
+// Dueling network: shared trunk split into a state-value stream V(s) and an advantage stream A(s, a)
+function buildDuelingModel(net) {
+    const input = tf.input({ shape: [net.stateDim] });
+    const hidden1 = net.denseLayer({
+        units: net.hiddenDim,
+        activation: 'relu'
+    }, false).apply(input);
+    const hidden2 = net.denseLayer({
+        units: net.hiddenDim * 2,
+        activation: 'relu'
+    }).apply(hidden1);
+
+    const value = net.denseLayer({
+        units: 1,
+        activation: 'linear'
+    }).apply(hidden2);
+    const advantage = net.denseLayer({
+        units: net.actionDim,
+        activation: 'linear'
+    }).apply(hidden2);
+
+    const qValues = new DuelingAggregation().apply([value, advantage]);
+    return net.compileModel(tf.model({ inputs: input, outputs: qValues }));
+}
+
+// Dueling Deep Q-Network
+export class DuelingDQN extends DQN {
+    buildModel() {
+        return buildDuelingModel(this);
+    }
+
+    get architecture() {
+        return 'dueling';
+    }
+}
+
+// Dueling Double Deep Q-Network
+export class DuelingDDQN extends DDQN {
+    buildModel() {
+        return buildDuelingModel(this);
+    }
+
+    get architecture() {
+        return 'dueling-ddqn';
+    }
+}
+
+// Convolutional network over stacked grayscale frames. States stay flat vectors everywhere else
+// (replay memory, batching), so the model reshapes them to observationShape itself.
+function buildConvModel(net) {
+    const convLayer = (config) => tf.layers.conv2d({
+        ...config,
+        activation: 'relu',
+        kernelInitializer: tf.initializers.glorotUniform({ seed: net.rng.nextSeed() })
+    });
+
+    const model = tf.sequential({
+        layers: [
+            tf.layers.reshape({
+                targetShape: net.observationShape,
+                inputShape: [net.stateDim]
+            }),
+            convLayer({ filters: 16, kernelSize: 4, strides: 2 }),
+            convLayer({ filters: 32, kernelSize: 3, strides: 1 }),
+            tf.layers.flatten(),
+            net.denseLayer({
+                units: net.hiddenDim * 2,
+                activation: 'relu'
+            }),
+            net.denseLayer({
+                units: net.actionDim,
+                activation: 'linear'
+            })
+        ]
+    });
+
+    return net.compileModel(model);
+}
+
+// Deep Q-Network learning from pixels
+export class ConvDQN extends DQN {
+    buildModel() {
+        return buildConvModel(this);
+    }
+
+    get architecture() {
+        return 'conv-dqn';
+    }
+}
+
+// Double Deep Q-Network learning from pixels
+export class ConvDDQN extends DDQN {
+    buildModel() {
+        return buildConvModel(this);
+    }
+
+    get architecture() {
+        return 'conv-ddqn';
+    }
+}
+
+// Architectures selectable in the UI and recorded in exported model files;
+// observation is what the environment has to return for them (default 'features')
+export const ARCHITECTURES = {
+    'dqn': { label: 'DQN', ModelClass: DQN },
+    'ddqn': { label: 'Double DQN', ModelClass: DDQN },
+    'dueling': { label: 'Dueling DQN', ModelClass: DuelingDQN },
+    'dueling-ddqn': { label: 'Dueling DDQN', ModelClass: DuelingDDQN },
+    'conv-dqn': { label: 'Conv DQN (pixels)', ModelClass: ConvDQN, observation: 'pixels' },
+    'conv-ddqn': { label: 'Conv DDQN (pixels)', ModelClass: ConvDDQN, observation: 'pixels' }
+};
+
+export function getObservation(architecture) {
+    return (ARCHITECTURES[architecture] && ARCHITECTURES[architecture].observation) || 'features';
+}
+
+export function createModel(architecture, stateDim, actionDim, hiddenDim = 64, options = {}) {
+    const entry = ARCHITECTURES[architecture];
+    if (!entry) {
+        throw new Error(`Unknown model architecture: ${architecture}`);
+    }
+    return new entry.ModelClass(stateDim, actionDim, hiddenDim, options);
+}
@@ -1,6 +1,17 @@
 ﻿// RL Environment Interface for Flappy Bird
+import { createRewardFunction, resolveRewardConfig } from './rewards.js';
+
+// Components of the feature state vector (see getFeatureState), with the range each one
+// covers during play at the default difficulty, e.g. for sweeping it in the Q-value inspector
+export const STATE_FEATURES = [
+    { key: 'birdYSpeed', label: 'Vertical speed', min: -0.7, max: 1.5, value: 0 },
+    { key: 'tubeDistance', label: 'Tube distance', min: -0.2, max: 1.4, value: 0.5 },
+    { key: 'gapOffset', label: 'Gap offset', min: -0.6, max: 0.6, value: 0 },
+    { key: 'birdY', label: 'Bird height', min: 0, max: 0.9, value: 0.45 }
+];
+
 export class Environment {
-    constructor(game) {
+    constructor(game, config = {}) {
         this.game = game;
         this.actionSpace = {
             STAY: 0,
@@ -9,15 +20,134 @@ export class Environment {
         this.previousScore = 0;
         // Full pipe sprite geometry: upper 17px, gap 12px (center offset = 17 + 6)
         this.tubeUpperHeight = 17;
+        // Game frames per decision (action repeat / frame skip)
+        this.actionRepeat = 1;
+        this.setActionRepeat(config.actionRepeat || 1);
+
+        // Observation returned by getState: 'features' (4 hand-picked values) or 'pixels'
+        // (the last frameStack screens, downsampled by an integer factor, as grayscale)
+        this.frameStack = config.frameStack || 4;
+        this.downsample = config.downsample || 2;
+        this.frames = [];
+        this.screen = new Float32Array(this.game.width * this.game.height);
+        this.setObservation(config.observation || 'features');
+
+        // Reward preset and term weights (see rewards.js)
+        this.setReward(config.reward);
+
+        // Game difficulty to switch to at the next reset, e.g. from a curriculum
+        this.pendingDifficulty = config.difficulty || null;
+
+        if (config.seed !== undefined) {
+            this.setSeed(config.seed);
+        }
+    }
+
+    // Seeds the game's tube sequence
+    setSeed(seed) {
+        this.seed = seed;
+        this.game.setSeed(seed);
+    }
+
+    setActionRepeat(actionRepeat) {
+        this.actionRepeat = Math.max(1, Math.floor(actionRepeat));
+    }
+
+    // Takes effect from the next episode, so a running one is never made harder halfway through
+    setDifficulty(difficulty) {
+        this.pendingDifficulty = difficulty;
+    }
+
+    setReward(rewardConfig) {
+        this.reward = resolveRewardConfig(rewardConfig);
+        this.rewardFunction = createRewardFunction(this.reward);
+    }
+
+    setObservation(observation) {
+        this.observation = observation;
+        this.frames = [];
+    }
+
+    // [height, width, frames] for pixels, [4] for features
+    getObservationShape(observation = this.observation) {
+        if (observation === 'pixels') {
+            return [
+                Math.floor(this.game.height / this.downsample),
+                Math.floor(this.game.width / this.downsample),
+                this.frameStack
+            ];
+        }
+        return [4];
+    }
+
+    get stateDim() {
+        return this.getObservationShape().reduce((a, b) => a * b, 1);
     }
 
     reset() {
+        if (this.pendingDifficulty) {
+            this.game.setDifficulty(this.pendingDifficulty);
+            this.pendingDifficulty = null;
+        }
         this.game.reset();
         this.previousScore = 0;
+        if (this.observation === 'pixels') {
+            // Start the stack filled with the first screen
+            this.frames = [];
+            this.captureFrame();
+        }
         return this.getState();
     }
 
     getState() {
+        return this.observation === 'pixels' ? this.getPixelState() : this.getFeatureState();
+    }
+
+    // Stacked frames, channels last: value (y, x, f) is at ((y * width) + x) * frameStack + f
+    getPixelState() {
+        if (this.frames.length === 0) this.captureFrame();
+        const [height, width, frameStack] = this.getObservationShape();
+        const state = new Float32Array(height * width * frameStack);
+        for (let f = 0; f < frameStack; f++) {
+            const frame = this.frames[f];
+            for (let p = 0; p < height * width; p++) {
+                state[p * frameStack + f] = frame[p];
+            }
+        }
+        return state;
+    }
+
+    // Rasterize the game screen, average-pool it by downsample and push it onto the frame stack
+    captureFrame() {
+        const game = this.game;
+        const [height, width, frameStack] = this.getObservationShape();
+        const k = this.downsample;
+        game.rasterize(this.screen);
+
+        const frame = new Float32Array(height * width);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let dy = 0; dy < k; dy++) {
+                    const row = (y * k + dy) * game.width + x * k;
+                    for (let dx = 0; dx < k; dx++) {
+                        sum += this.screen[row + dx];
+                    }
+                }
+                frame[y * width + x] = sum / (k * k);
+            }
+        }
+
+        this.frames.push(frame);
+        while (this.frames.length < frameStack) {
+            this.frames.push(frame);
+        }
+        while (this.frames.length > frameStack) {
+            this.frames.shift();
+        }
+    }
+
+    getFeatureState() {
         const closestTube = this.game.getClosestTube();
 
         // State vector: [bird_y_speed, tube_x, diff_y, bird_y]
@@ -33,25 +163,34 @@ export class Environment {
     }
 
     step(action) {
-        // Execute action
-        if (action === this.actionSpace.JUMP) {
-            this.game.jump();
-        }
-        // Track last action for reward shaping
-        this.lastAction = action;
+        let reward = 0;
+        let done = false;
+
+        // The action is repeated for actionRepeat frames; rewards are summed and a crash ends it early
+        for (let frame = 0; frame < this.actionRepeat && !done; frame++) {
+            // Execute action
+            if (action === this.actionSpace.JUMP) {
+                this.game.jump();
+            }
+            // Track last action for reward shaping
+            this.lastAction = action;
+
+            // Update game
+            this.game.update();
 
-        // Update game
-        this.game.update();
+            // Calculate reward
+            reward += this.calculateReward();
 
-        // Calculate reward
-        let reward = this.calculateReward();
+            // Check if episode is done
+            done = this.game.gameState === this.game.GAME_OVER;
+        }
 
         // Get new state
+        if (this.observation === 'pixels') {
+            this.captureFrame();
+        }
         const nextState = this.getState();
 
-        // Check if episode is done
-        const done = this.game.gameState === this.game.GAME_OVER;
-
         return {
             state: nextState,
             reward: reward,
@@ -60,41 +199,44 @@ export class Environment {
     }
 
     calculateReward() {
-        let reward = 0.1;  // Small reward for staying alive
-
         // Check if bird passed a tube
-        if (this.game.score > this.previousScore) {
-            reward = 5.0;  // Large reward for passing tube
-            this.previousScore = this.game.score;
-        }
-
-        // Check if game over
-        if (this.game.gameState === this.game.GAME_OVER) {
-            reward = -10.0;  // Negative reward for dying
+        const passed = this.game.score > this.previousScore;
+        this.previousScore = this.game.score;
 
-            // Additional penalty based on how the bird died
-            const closestTube = this.game.getClosestTube();
-            const diffY = (closestTube.y + this.tubeUpperHeight + this.game.tubeGap / 2) - (this.game.birdY + this.game.birdHeight / 2);
+        const done = this.game.gameState === this.game.GAME_OVER;
+        const closestTube = this.game.getClosestTube();
+        const diffY = (closestTube.y + this.tubeUpperHeight + this.game.tubeGap / 2) - (this.game.birdY + this.game.birdHeight / 2);
+
+        return this.rewardFunction({
+            passed: passed,
+            done: done,
+            // Too high and jumped, or too low and didn't jump
+            wrongAction: (diffY > 0 && this.lastAction === this.actionSpace.JUMP) ||
+                (diffY < 0 && this.lastAction === this.actionSpace.STAY),
+            gapDistance: Math.abs(diffY)
+        });
+    }
 
-            // If bird was too high and jumped, extra penalty
-            if (diffY > 0 && this.lastAction === this.actionSpace.JUMP) {
-                reward -= 5.0;
-            }
-            // If bird was too low and didn't jump, extra penalty
-            else if (diffY < 0 && this.lastAction === this.actionSpace.STAY) {
-                reward -= 5.0;
-            }
-        } else {
-            // Small penalty for being far from center of gap
-            const closestTube = this.game.getClosestTube();
-            const diffY = Math.abs((closestTube.y + this.tubeUpperHeight + this.game.tubeGap / 2) - (this.game.birdY + this.game.birdHeight / 2));
-            reward -= diffY * 0.01;
-        }
+    // Everything an episode in progress depends on: game state, tube generator and frame stack
+    getCheckpoint() {
+        return {
+            game: this.game.getSnapshot(),
+            rng: this.game.rng.getState(),
+            previousScore: this.previousScore,
+            pendingDifficulty: this.pendingDifficulty,
+            frames: this.frames.slice()
+        };
+    }
 
-        return reward;
+    restoreCheckpoint(checkpoint) {
+        this.game.applySnapshot(checkpoint.game);
+        this.game.rng.setState(checkpoint.rng);
+        this.previousScore = checkpoint.previousScore;
+        this.pendingDifficulty = checkpoint.pendingDifficulty;
+        this.frames = checkpoint.frames.slice();
     }
 
     render() {
         this.game.render();
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,129 @@
+// Evaluation card: runs a greedy evaluation in the worker (see evaluation.js) and reports the score
+// and survival-length distributions of the current model
+import { ARCHITECTURES } from './dqn.js';
+import { HistogramChart } from './charts.js';
+
+const EPISODE_OPTIONS = [20, 50, 100, 200, 500];
+const MAX_STEP_OPTIONS = [1000, 5000, 10000];
+
+function formatNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+export class EvaluationPanel {
+    // trainer: TrainingClient
+    constructor(container, trainer, options = {}) {
+        this.container = container;
+        this.trainer = trainer;
+        this.episodes = options.episodes || 100;
+        this.maxSteps = options.maxSteps || 5000;
+        this.running = false;
+
+        this.build();
+        this.trainer.on('evaluationProgress', ({ done, total }) => {
+            if (this.running) this.dom.progress.textContent = `${done}/${total} episodes`;
+        });
+    }
+
+    build() {
+        const options = (values, selected) => values.map(v =>
+            `<option value="${v}" ${v === selected ? 'selected' : ''}>${v}</option>`
+        ).join('');
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Evaluation</h3>
+          <div class="chart-toolbar">
+            <label>Episodes <select id="eval-episodes-select">${options(EPISODE_OPTIONS, this.episodes)}</select></label>
+            <label>Max steps <select id="eval-steps-select">${options(MAX_STEP_OPTIONS, this.maxSteps)}</select></label>
+            <button class="control-btn primary" id="eval-run-btn">Evaluate</button>
+            <button class="control-btn danger" id="eval-cancel-btn" disabled>Cancel</button>
+            <span class="chart-hint" id="eval-progress"></span>
+          </div>
+          <div class="evaluation-report">
+            <table class="evaluation-stats">
+              <thead><tr><th></th><th>Mean (95% CI)</th><th>Median</th><th>Min</th><th>Max</th><th>Std</th></tr></thead>
+              <tbody>
+                <tr id="eval-score-row"><th>Score</th><td colspan="5">–</td></tr>
+                <tr id="eval-length-row"><th>Survival (steps)</th><td colspan="5">–</td></tr>
+              </tbody>
+            </table>
+            <div class="evaluation-histograms">
+              <figure><canvas id="eval-score-histogram" class="histogram-canvas"></canvas><figcaption>Score</figcaption></figure>
+              <figure><canvas id="eval-length-histogram" class="histogram-canvas"></canvas><figcaption>Survival (steps)</figcaption></figure>
+            </div>
+          </div>
+          <div class="chart-hint" id="eval-hint">Plays the same fixed-seed games every time, greedily (no exploration, no noise) and without learning, on a frozen copy of the network.</div>
+        `;
+
+        this.dom = {
+            episodes: document.getElementById('eval-episodes-select'),
+            maxSteps: document.getElementById('eval-steps-select'),
+            run: document.getElementById('eval-run-btn'),
+            cancel: document.getElementById('eval-cancel-btn'),
+            progress: document.getElementById('eval-progress'),
+            scoreRow: document.getElementById('eval-score-row'),
+            lengthRow: document.getElementById('eval-length-row'),
+            hint: document.getElementById('eval-hint')
+        };
+        this.scoreChart = new HistogramChart(document.getElementById('eval-score-histogram'), { color: '#2196f3' });
+        this.lengthChart = new HistogramChart(document.getElementById('eval-length-histogram'), { color: '#4caf50' });
+        this.scoreChart.draw();
+        this.lengthChart.draw();
+
+        this.dom.episodes.addEventListener('change', (e) => { this.episodes = parseInt(e.target.value, 10); });
+        this.dom.maxSteps.addEventListener('change', (e) => { this.maxSteps = parseInt(e.target.value, 10); });
+        this.dom.run.addEventListener('click', () => this.run());
+        this.dom.cancel.addEventListener('click', () => this.cancel());
+        window.addEventListener('resize', () => {
+            this.scoreChart.draw();
+            this.lengthChart.draw();
+        });
+    }
+
+    async run() {
+        if (this.running) return;
+        this.setRunning(true);
+        this.dom.progress.textContent = `0/${this.episodes} episodes`;
+        const startTs = performance.now();
+        try {
+            const result = await this.trainer.request('evaluate', { episodes: this.episodes, maxSteps: this.maxSteps });
+            if (result) {
+                this.show(result, performance.now() - startTs);
+            } else {
+                this.dom.progress.textContent = 'Cancelled';
+            }
+        } catch (error) {
+            console.error('Evaluation failed:', error);
+            this.dom.progress.textContent = `Evaluation failed: ${error.message}`;
+        } finally {
+            this.setRunning(false);
+        }
+    }
+
+    cancel() {
+        if (this.running) this.trainer.send('stopEvaluation');
+    }
+
+    setRunning(running) {
+        this.running = running;
+        this.dom.run.disabled = running;
+        this.dom.cancel.disabled = !running;
+    }
+
+    show(result, durationMs) {
+        const cells = ({ mean, ci95, median, min, max, std }) =>
+            `<td>${formatNumber(mean)} (${formatNumber(ci95[0])} – ${formatNumber(ci95[1])})</td>` +
+            `<td>${formatNumber(median)}</td><td>${min}</td><td>${max}</td><td>${formatNumber(std)}</td>`;
+        this.dom.scoreRow.innerHTML = `<th>Score</th>${cells(result.scores)}`;
+        this.dom.lengthRow.innerHTML = `<th>Survival (steps)</th>${cells(result.lengths)}`;
+        this.scoreChart.setHistogram(result.scores.histogram);
+        this.lengthChart.setHistogram(result.lengths.histogram);
+
+        const model = `${ARCHITECTURES[result.architecture].label}${result.exploration === 'noisy' ? ' + noisy' : ''}, hidden=${result.hiddenDim}` +
+            `${result.actionRepeat > 1 ? `, repeat=${result.actionRepeat}` : ''}`;
+        this.dom.progress.textContent = `Done in ${(durationMs / 1000).toFixed(1)} s`;
+        this.dom.hint.textContent = `${result.episodes} greedy episodes of ${model} after ${result.trainingEpisode} training episodes` +
+            ` (evaluation seed ${result.seed}, default difficulty).` +
+            (result.truncated ? ` ${result.truncated} reached the ${result.maxSteps}-step cap and were cut off.` : '');
+    }
+}
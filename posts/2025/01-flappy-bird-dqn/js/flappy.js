@@ -1,8 +1,27 @@
 // Main entry point for Flappy Bird DQN
 import { Game } from './game.js';
-import { Environment } from './environment.js';
-import { DDQN } from './dqn.js';
-import { Agent } from './agent.js';
+import { ARCHITECTURES, getObservation } from './dqn.js';
+import { TrainingClient } from './training-client.js';
+import { randomSeed } from './random.js';
+import { REWARD_PRESETS, REWARD_TERMS, resolveRewardConfig } from './rewards.js';
+import {
+    HYPERPARAMETERS, HYPERPARAMETER_PRESETS, DEFAULT_HYPERPARAMETER_PRESET,
+    fitHyperparameters, hyperparameterRange, matchHyperparameterPreset, resolveHyperparameters, validateHyperparameter
+} from './hyperparameters.js';
+import { CURRICULUM_LEVELS } from './curriculum.js';
+import { CHART_METRICS, LearningCurveChart } from './charts.js';
+import { QInspector } from './q-inspector.js';
+import { EvaluationPanel } from './evaluation-panel.js';
+import { RacePanel } from './race-panel.js';
+import { EpisodeRecorder } from './recorder.js';
+import { ReplayPanel } from './replay-panel.js';
+import { DemonstrationPanel } from './demonstration-panel.js';
+import { CapturePanel } from './capture-panel.js';
+import { SessionStore } from './session-store.js';
+import { SessionPanel } from './session-panel.js';
+
+// Minimum time between two autosaves while training; the worker saves at the next episode end
+const AUTOSAVE_INTERVAL_MS = 60000;
 
 class FlappyBirdDQN {
     constructor() {
@@ -10,22 +29,61 @@ class FlappyBirdDQN {
         this.statusDiv = document.getElementById('training-status');
         this.controlsDiv = document.getElementById('controls-params');
         this.logDiv = document.getElementById('training-log-container');
-
-        // Initialize components
+        this.chartsDiv = document.getElementById('training-charts-container');
+        this.inspectorDiv = document.getElementById('q-inspector-container');
+        this.evaluationDiv = document.getElementById('evaluation-container');
+        this.sessionsDiv = document.getElementById('sessions-container');
+        this.raceDiv = document.getElementById('race-container');
+        this.replayDiv = document.getElementById('replay-container');
+        this.demonstrationDiv = document.getElementById('demonstration-container');
+        this.captureDiv = document.getElementById('capture-container');
+
+        // Initialize components: this game renders and handles manual play,
+        // while Agent/Environment/DQN run in a worker that streams its game state back
         this.game = new Game(this.canvas);
-        this.env = new Environment(this.game);
-        // Default model hidden dimension
+        // Run seed: game tubes, exploration, replay sampling and weight init all derive from it
+        this.seed = randomSeed();
+        // Default model architecture, hidden dimension and exploration strategy
+        this.architecture = 'ddqn';
         this.hiddenDim = 64;
-        this.model = new DDQN(4, 2, this.hiddenDim);  // state_dim=4, action_dim=2
-        this.agent = new Agent(this.env, this.model, {
-            gamma: 0.99,
+        this.exploration = 'epsilon';
+        // Games trained in lockstep, and whether the canvas shows only the first or all of them
+        this.numEnvs = 1;
+        this.viewMode = 'first';
+        this.gridSnapshots = null;
+        // Game frames the chosen action is repeated for, per decision
+        this.actionRepeat = 1;
+        // Reward preset and its term weights, which can be edited individually
+        this.reward = resolveRewardConfig();
+        // Automatic curriculum: harder games as the average score improves
+        this.curriculum = false;
+        // Draw the first game's Q-values on the canvas while training, from the latest snapshot
+        this.showQOverlay = false;
+        this.liveQValues = null;
+        // Coach mode: the player's flaps during training override the agent's (see Agent.override)
+        this.coaching = false;
+        this.agentConfig = {
+            // gamma, learningRate, epsilonDecay, epsilonMin, batchSize, memoryMaxLen, nStep, prioritized
+            // and targetUpdateFreq (see hyperparameters.js)
+            ...HYPERPARAMETER_PRESETS[DEFAULT_HYPERPARAMETER_PRESET].values,
             epsilon: 0.3,
-            epsilonDecay: 0.9995,
-            epsilonMin: 0.01,
-            batchSize: 32,
-            memoryMaxLen: 10000,
-            targetUpdateFreq: 10
-        });
+            // Prioritized replay's exponents, annealed over env steps
+            priorityAlpha: 0.6,
+            priorityBeta: 0.4,
+            priorityBetaEnd: 1.0,
+            priorityAnnealSteps: 100000,
+            // Weight of the large-margin loss on coach mode's expert labels
+            expertWeight: 1.0
+        };
+        this.trainer = new TrainingClient();
+        this.trainer.send('init', this.getTrainerConfig());
+        // Sessions saved in this browser; the current run is stored under sessionId once first saved
+        this.sessionStore = SessionStore.isSupported() ? new SessionStore() : null;
+        this.sessionId = null;
+        this.sessionCreatedAt = null;
+        this.autosave = false;
+        // Last agent status reported by the worker
+        this.agentStatus = this.createInitialStatus();
 
         // Training state
         this.isTraining = false;
@@ -36,7 +94,8 @@ class FlappyBirdDQN {
         this.manualUpdateIntervalMs = 50;
         this._lastRenderTs = performance.now();
         this._accumulatedMs = 0;
-        this.skipNextStopTrainingCallback = false;
+        // Identifies the current training run so the end of a stopped or reset run is ignored
+        this.runId = 0;
 
         // Cache canvas 2D context
         this.ctx = this.canvas.getContext('2d');
@@ -56,6 +115,36 @@ class FlappyBirdDQN {
         this.startRendering();
     }
 
+    // Model/agent settings the worker builds its network and agent from
+    getTrainerConfig() {
+        return {
+            seed: this.seed,
+            numEnvs: this.numEnvs,
+            actionRepeat: this.actionRepeat,
+            reward: this.reward,
+            curriculum: this.curriculum,
+            architecture: this.architecture,
+            hiddenDim: this.hiddenDim,
+            exploration: this.exploration,
+            agentConfig: this.agentConfig
+        };
+    }
+
+    createInitialStatus() {
+        return {
+            episode: 0,
+            epsilon: this.agentConfig.epsilon,
+            memorySize: 0,
+            memoryMaxLen: this.agentConfig.memoryMaxLen,
+            isTraining: false,
+            isPaused: false,
+            currentEpisodeState: null,
+            statistics: { avgScore: 0, maxScore: 0, avgReward: 0, totalEpisodes: 0, totalSteps: 0 },
+            curriculumLevel: this.curriculum ? 0 : null,
+            difficulty: null
+        };
+    }
+
     clamp(value, min, max) {
         if (!Number.isFinite(value)) return min;
         return Math.min(max, Math.max(min, value));
@@ -95,6 +184,7 @@ class FlappyBirdDQN {
       
             <div class="stat-row"><span class="label">Avg Score (100 ep):</span><span class="value" id="avg-score">0.00</span></div>
             <div class="stat-row"><span class="label">Max Score:</span><span class="value" id="max-score">0</span></div>
+            <div class="stat-row"><span class="label">Difficulty:</span><span class="value" id="curriculum-level">Off</span></div>
           </div>
         `;
 
@@ -104,6 +194,9 @@ class FlappyBirdDQN {
         const initEps = 30;
         const initHidden = this.hiddenDim || 64;
         const initEpsFloat = (initEps / 100).toFixed(2);
+        const architectureOptions = Object.entries(ARCHITECTURES).map(([key, { label }]) =>
+            `<option value="${key}" ${key === this.architecture ? 'selected' : ''}>${label}</option>`
+        ).join('');
 
         this.trainingSpeed = initSpeed;
 
@@ -116,10 +209,23 @@ class FlappyBirdDQN {
                 <span id="speed-value">${initSpeed}ms</span>
             </div>
             <div class="param-row">
+                <label for="exploration-select">Exploration:</label>
+                <select id="exploration-select" aria-label="Exploration strategy">
+                    <option value="epsilon" ${this.exploration === 'epsilon' ? 'selected' : ''}>ε-greedy</option>
+                    <option value="noisy" ${this.exploration === 'noisy' ? 'selected' : ''}>Noisy nets</option>
+                </select>
+            </div>
+            <div class="param-row" id="epsilon-row">
                 <label for="epsilon-slider">Epsilon:</label>
                 <input type="range" id="epsilon-slider" min="0" max="100" value="${initEps}" aria-label="Exploration epsilon">
                 <span id="epsilon-value">${initEpsFloat}</span>
             </div>
+            <div class="param-row">
+                <label for="architecture-select">Model:</label>
+                <select id="architecture-select" aria-label="Model architecture">
+                    ${architectureOptions}
+                </select>
+            </div>
             <div class="param-row">
                 <label for="hidden-select">Hidden:</label>
                 <select id="hidden-select" aria-label="Hidden units">
@@ -133,6 +239,72 @@ class FlappyBirdDQN {
                 <label for="episodes-input">Episodes:</label>
                 <input type="number" id="episodes-input" value="10000" min="100" max="50000" step="20" aria-label="Episodes">
             </div>
+            <details class="param-group">
+                <summary>Hyperparameters</summary>
+                <div class="param-row">
+                    <label for="hyperparameter-preset-select">Preset:</label>
+                    <select id="hyperparameter-preset-select" aria-label="Hyperparameter preset">
+                        ${Object.entries(HYPERPARAMETER_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('')}
+                        <option value="custom" disabled>Custom</option>
+                    </select>
+                    <button type="button" id="hyperparameter-defaults-btn" class="icon-btn" title="Restore the default hyperparameters">Restore defaults</button>
+                </div>
+                ${Object.entries(HYPERPARAMETERS).map(([name, hp]) => `
+                <div class="param-row" title="${hp.description}">
+                    <label for="hyperparameter-${name}">${hp.label}:</label>
+                    ${hp.boolean ? `<select id="hyperparameter-${name}" data-hyperparameter="${name}" aria-label="${hp.label}">
+                        <option value="off" ${!this.agentConfig[name] ? 'selected' : ''}>Off</option>
+                        <option value="on" ${this.agentConfig[name] ? 'selected' : ''}>On</option>
+                    </select>` : `<input type="number" id="hyperparameter-${name}" data-hyperparameter="${name}" value="${this.agentConfig[name]}" min="${hp.min}" max="${hp.max}" step="${hp.step}" aria-label="${hp.label}">`}
+                    ${hp.live ? '' : '<span class="value">new run</span>'}
+                </div>`).join('')}
+                <div class="param-error" id="hyperparameter-error" role="alert"></div>
+            </details>
+            <div class="param-row">
+                <label for="repeat-select">Repeat:</label>
+                <select id="repeat-select" aria-label="Action repeat (frames per decision)">
+                    ${[1, 2, 3, 4].map(k => `<option value="${k}" ${this.actionRepeat === k ? 'selected' : ''}>${k} ${k === 1 ? 'frame' : 'frames'}</option>`).join('')}
+                </select>
+            </div>
+            <div class="param-row">
+                <label for="reward-select">Reward:</label>
+                <select id="reward-select" aria-label="Reward preset">
+                    ${Object.entries(REWARD_PRESETS).map(([key, preset]) => `<option value="${key}" ${this.reward.preset === key ? 'selected' : ''}>${preset.label}</option>`).join('')}
+                </select>
+            </div>
+            <details class="param-group">
+                <summary>Reward weights</summary>
+                ${Object.entries(REWARD_TERMS).map(([name, term]) => `
+                <div class="param-row">
+                    <label for="reward-weight-${name}">${term.label}:</label>
+                    <input type="number" id="reward-weight-${name}" data-term="${name}" value="${this.reward.weights[name]}" step="0.01" aria-label="${term.label} reward weight">
+                </div>`).join('')}
+            </details>
+            <div class="param-row">
+                <label for="curriculum-select">Curriculum:</label>
+                <select id="curriculum-select" aria-label="Automatic difficulty curriculum">
+                    <option value="off" ${!this.curriculum ? 'selected' : ''}>Off</option>
+                    <option value="on" ${this.curriculum ? 'selected' : ''}>On</option>
+                </select>
+            </div>
+            <div class="param-row">
+                <label for="envs-select">Envs:</label>
+                <select id="envs-select" aria-label="Parallel environments">
+                    ${[1, 4, 8, 16].map(n => `<option value="${n}" ${this.numEnvs === n ? 'selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </div>
+            <div class="param-row">
+                <label for="view-select">View:</label>
+                <select id="view-select" aria-label="Environments shown">
+                    <option value="first" ${this.viewMode === 'first' ? 'selected' : ''}>First</option>
+                    <option value="grid" ${this.viewMode === 'grid' ? 'selected' : ''}>Grid</option>
+                </select>
+            </div>
+            <div class="param-row">
+                <label for="seed-input">Seed:</label>
+                <input type="number" id="seed-input" value="${this.seed}" min="0" max="4294967295" step="1" aria-label="Random seed">
+                <button type="button" id="seed-random-btn" class="icon-btn" title="New random seed" aria-label="New random seed">🎲</button>
+            </div>
             </div>
         `;
 
@@ -145,6 +317,110 @@ class FlappyBirdDQN {
             </div>
         `;
 
+        // --- Charts card ---
+        if (this.chartsDiv) {
+            this.chartsDiv.classList.add('card');
+            this.chartsDiv.innerHTML = `
+                <h3>Learning Curves</h3>
+                <div class="chart-toolbar">
+                    <select id="chart-metric-select" aria-label="Chart metric">
+                        ${Object.entries(CHART_METRICS).map(([key, { label }]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                    <label><input type="checkbox" id="chart-log-scale"> Log scale</label>
+                    <label><input type="checkbox" id="chart-epsilon" checked> ε overlay</label>
+                    <button type="button" id="chart-reset-zoom" class="icon-btn" title="Show all episodes">Reset zoom</button>
+                </div>
+                <canvas id="training-chart" class="chart-canvas"></canvas>
+                <div class="chart-hint">Episode values with a 100-episode moving average. Drag to zoom, double-click to show all.</div>
+            `;
+            this.chart = new LearningCurveChart(document.getElementById('training-chart'));
+            document.getElementById('chart-metric-select').addEventListener('change', (e) => this.chart.setMetric(e.target.value));
+            document.getElementById('chart-log-scale').addEventListener('change', (e) => this.chart.setLogScale(e.target.checked));
+            document.getElementById('chart-epsilon').addEventListener('change', (e) => this.chart.setShowEpsilon(e.target.checked));
+            document.getElementById('chart-reset-zoom').addEventListener('click', () => this.chart.resetZoom());
+            window.addEventListener('resize', () => this.chart.requestDraw());
+        }
+
+        // --- Greedy evaluation ---
+        if (this.evaluationDiv) {
+            this.evaluation = new EvaluationPanel(this.evaluationDiv, this.trainer);
+        }
+
+        // --- GIF/WebM clips of the game canvas ---
+        if (this.captureDiv) {
+            this.capture = new CapturePanel(this.captureDiv, this.canvas, {
+                download: (blob, fileName) => this.downloadBlob(blob, fileName),
+                onRecordingChange: (recording) => this.setControlButtonLabel('record-btn', recording ? 'Stop Recording' : 'Record')
+            });
+        }
+
+        // --- Human vs AI race ---
+        if (this.raceDiv) {
+            this.race = new RacePanel(this.raceDiv, this.trainer, {
+                updateIntervalMs: this.manualUpdateIntervalMs,
+                canStart: () => !this.isTraining && !this.isTrainingPaused
+            });
+        }
+
+        // --- Episode replays ---
+        if (this.replayDiv) {
+            this.replays = new ReplayPanel(this.replayDiv, {
+                updateIntervalMs: this.manualUpdateIntervalMs,
+                download: (blob, fileName) => this.downloadBlob(blob, fileName)
+            });
+        }
+
+        // --- Demonstrations and pre-training ---
+        if (this.demonstrationDiv) {
+            this.demonstrations = new DemonstrationPanel(this.demonstrationDiv, this.trainer, {
+                canPretrain: () => !this.isTraining && !this.isTrainingPaused && this.agentStatus.episode === 0,
+                onPretrained: (result) => this.applyPretraining(result),
+                download: (blob, fileName) => this.downloadBlob(blob, fileName),
+                expertWeight: this.agentConfig.expertWeight,
+                onCoachChange: (enabled) => { this.coaching = enabled; },
+                onExpertWeightChange: (expertWeight) => {
+                    this.agentConfig.expertWeight = expertWeight;
+                    this.trainer.send('setExpertWeight', { expertWeight });
+                }
+            });
+            this.demonstrations.startRun(this.seed);
+        }
+
+        // Manual games; training and evaluation episodes are recorded in the worker
+        if (this.replays || this.demonstrations) {
+            new EpisodeRecorder(this.game, {
+                source: 'manual',
+                onEpisode: (recording) => {
+                    if (this.replays) this.replays.add('manual', recording);
+                    if (this.demonstrations) this.demonstrations.addGame(recording);
+                }
+            });
+        }
+
+        // --- Q-value inspector ---
+        if (this.inspectorDiv) {
+            this.inspector = new QInspector(this.inspectorDiv, this.trainer, {
+                onOverlayChange: (enabled) => {
+                    this.showQOverlay = enabled;
+                    this.liveQValues = null;
+                    this.trainer.send('setQOverlay', { enabled });
+                }
+            });
+            this.inspector.refresh(true);
+        }
+
+        // --- Saved sessions ---
+        if (this.sessionsDiv && this.sessionStore) {
+            this.sessionPanel = new SessionPanel(this.sessionsDiv, this.sessionStore, {
+                onRestore: (session) => this.restoreSession(session),
+                onAutosaveChange: (enabled) => this.setAutosave(enabled)
+            });
+            this.setAutosave(this.sessionPanel.autosave);
+            this.sessionPanel.offerResume();
+        } else if (this.sessionsDiv) {
+            this.sessionsDiv.hidden = true;
+        }
+
         // Cache frequently used DOM nodes
         this.dom = {
             startBtn: document.getElementById('start-btn'),
@@ -154,6 +430,10 @@ class FlappyBirdDQN {
             importBtn: document.getElementById('import-btn'),
             modelFileInput: document.getElementById('model-file-input'),
             loadPretrainedBtn: document.getElementById('load-pretrained-btn'),
+            saveCheckpointBtn: document.getElementById('save-checkpoint-btn'),
+            loadCheckpointBtn: document.getElementById('load-checkpoint-btn'),
+            checkpointFileInput: document.getElementById('checkpoint-file-input'),
+            recordBtn: document.getElementById('record-btn'),
 
             speedSlider: document.getElementById('speed-slider'),
             speedValue: document.getElementById('speed-value'),
@@ -161,6 +441,21 @@ class FlappyBirdDQN {
             epsilonValue: document.getElementById('epsilon-value'),
             episodesInput: document.getElementById('episodes-input'),
             hiddenSelect: document.getElementById('hidden-select'),
+            architectureSelect: document.getElementById('architecture-select'),
+            explorationSelect: document.getElementById('exploration-select'),
+            repeatSelect: document.getElementById('repeat-select'),
+            rewardSelect: document.getElementById('reward-select'),
+            curriculumSelect: document.getElementById('curriculum-select'),
+            rewardWeightInputs: Array.from(document.querySelectorAll('[data-term]')),
+            hyperparameterPresetSelect: document.getElementById('hyperparameter-preset-select'),
+            hyperparameterDefaultsBtn: document.getElementById('hyperparameter-defaults-btn'),
+            hyperparameterInputs: Array.from(document.querySelectorAll('[data-hyperparameter]')),
+            hyperparameterError: document.getElementById('hyperparameter-error'),
+            envsSelect: document.getElementById('envs-select'),
+            viewSelect: document.getElementById('view-select'),
+            seedInput: document.getElementById('seed-input'),
+            seedRandomBtn: document.getElementById('seed-random-btn'),
+            epsilonRow: document.getElementById('epsilon-row'),
 
             trainingState: document.getElementById('training-state'),
             episodeLabel: document.getElementById('episode'),
@@ -169,6 +464,7 @@ class FlappyBirdDQN {
             memorySizeLabel: document.getElementById('memory-size'),
             avgScoreLabel: document.getElementById('avg-score'),
             maxScoreLabel: document.getElementById('max-score'),
+            curriculumLabel: document.getElementById('curriculum-level'),
             epsilonBar: document.getElementById('epsilon-bar'),
             memoryBar: document.getElementById('memory-bar'),
 
@@ -196,6 +492,12 @@ class FlappyBirdDQN {
             this.dom.modelFileInput.addEventListener('change', (e) => this.handleFileImport(e));
         }
         if (this.dom.loadPretrainedBtn) this.dom.loadPretrainedBtn.addEventListener('click', () => this.loadPretrainedModel());
+        // Checkpoints
+        if (this.dom.saveCheckpointBtn) this.dom.saveCheckpointBtn.addEventListener('click', () => this.saveCheckpoint());
+        if (this.dom.loadCheckpointBtn) this.dom.loadCheckpointBtn.addEventListener('click', () => this.dom.checkpointFileInput.click());
+        if (this.dom.checkpointFileInput) this.dom.checkpointFileInput.addEventListener('change', (e) => this.handleCheckpointImport(e));
+        // Clip recording (settings, trimming and export are in the recording card)
+        if (this.dom.recordBtn && this.capture) this.dom.recordBtn.addEventListener('click', () => this.capture.toggle());
 
         if (this.dom.speedSlider) this.dom.speedSlider.addEventListener('input', (e) => {
             const raw = parseInt(e.target.value);
@@ -203,16 +505,15 @@ class FlappyBirdDQN {
             if (this.dom.speedSlider) this.dom.speedSlider.value = String(this.trainingSpeed);
             if (this.dom.speedValue) this.dom.speedValue.textContent = `${this.trainingSpeed}ms`;
             // Apply immediately during training
-            if (this.agent) {
-                this.agent.trainingDelay = this.trainingSpeed;
-            }
+            this.trainer.send('setDelay', { delay: this.trainingSpeed });
         });
 
         if (this.dom.epsilonSlider) this.dom.epsilonSlider.addEventListener('input', (e) => {
             const raw = this.clamp(parseInt(e.target.value), 0, 100);
             if (this.dom.epsilonSlider) this.dom.epsilonSlider.value = String(raw);
             const epsilon = raw / 100;
-            this.agent.epsilon = epsilon;
+            this.trainer.send('setEpsilon', { epsilon });
+            this.agentStatus.epsilon = epsilon;
             if (this.dom.epsilonValue) this.dom.epsilonValue.textContent = epsilon.toFixed(2);
             if (this.dom.epsilonBar) this.dom.epsilonBar.style.width = `${Math.round(epsilon * 100)}%`;
             // Reflect immediately in Training Status
@@ -240,14 +541,259 @@ class FlappyBirdDQN {
                 this.reset();
             });
         }
+
+        // Architecture change: same as hidden units, rebuild the model and remain stopped
+        const architectureSelect = this.dom.architectureSelect;
+        if (architectureSelect) {
+            architectureSelect.addEventListener('change', (e) => {
+                const newArchitecture = e.target.value;
+                if (!ARCHITECTURES[newArchitecture]) return;
+                if (this.architecture === newArchitecture) return;
+                this.architecture = newArchitecture;
+                this.fitHyperparameters();
+                this.reset();
+            });
+        }
+
+        // Exploration change: noisy nets need different layers, so rebuild the model as well
+        const explorationSelect = this.dom.explorationSelect;
+        if (explorationSelect) {
+            explorationSelect.addEventListener('change', (e) => {
+                const newExploration = e.target.value === 'noisy' ? 'noisy' : 'epsilon';
+                if (this.exploration === newExploration) return;
+                this.exploration = newExploration;
+                this.syncExplorationControls();
+                this.reset();
+            });
+        }
+        this.syncExplorationControls();
+
+        // Action repeat changes what a step means, so start over like the other run settings
+        if (this.dom.repeatSelect) this.dom.repeatSelect.addEventListener('change', (e) => {
+            const newActionRepeat = parseInt(e.target.value);
+            if (!Number.isFinite(newActionRepeat) || newActionRepeat < 1) return;
+            if (this.actionRepeat === newActionRepeat) return;
+            this.actionRepeat = newActionRepeat;
+            this.reset();
+        });
+
+        // Reward preset or weight change: a different objective means a new run
+        if (this.dom.rewardSelect) this.dom.rewardSelect.addEventListener('change', (e) => {
+            if (!REWARD_PRESETS[e.target.value]) return;
+            this.setReward({ preset: e.target.value });
+        });
+        for (const input of this.dom.rewardWeightInputs) {
+            input.addEventListener('change', (e) => {
+                const weight = parseFloat(e.target.value);
+                if (!Number.isFinite(weight)) {
+                    e.target.value = String(this.reward.weights[e.target.dataset.term]);
+                    return;
+                }
+                this.setReward({
+                    preset: this.reward.preset,
+                    weights: { ...this.reward.weights, [e.target.dataset.term]: weight }
+                });
+            });
+        }
+
+        // Hyperparameters: out-of-range values are refused and the input goes back to the current value
+        if (this.dom.hyperparameterPresetSelect) this.dom.hyperparameterPresetSelect.addEventListener('change', (e) => {
+            const preset = HYPERPARAMETER_PRESETS[e.target.value];
+            if (preset) this.setHyperparameters(preset.values);
+        });
+        if (this.dom.hyperparameterDefaultsBtn) this.dom.hyperparameterDefaultsBtn.addEventListener('click', () => {
+            this.setHyperparameters(HYPERPARAMETER_PRESETS[DEFAULT_HYPERPARAMETER_PRESET].values);
+        });
+        for (const input of this.dom.hyperparameterInputs) {
+            input.addEventListener('change', (e) => {
+                const name = e.target.dataset.hyperparameter;
+                const value = HYPERPARAMETERS[name].boolean ? e.target.value === 'on' : parseFloat(e.target.value);
+                const error = validateHyperparameter(name, value, getObservation(this.architecture));
+                if (error) {
+                    this.syncHyperparameterControls();
+                    this.dom.hyperparameterError.textContent = error;
+                    return;
+                }
+                this.setHyperparameters({ [name]: value });
+            });
+        }
+        this.syncHyperparameterControls();
+
+        // Curriculum on/off: levels are earned within a run, so start a new one
+        if (this.dom.curriculumSelect) this.dom.curriculumSelect.addEventListener('change', (e) => {
+            const enabled = e.target.value === 'on';
+            if (this.curriculum === enabled) return;
+            this.curriculum = enabled;
+            this.reset();
+        });
+
+        // Environment count: the worker rebuilds its games, so reset and remain stopped
+        if (this.dom.envsSelect) this.dom.envsSelect.addEventListener('change', (e) => {
+            const newNumEnvs = parseInt(e.target.value);
+            if (!Number.isFinite(newNumEnvs) || newNumEnvs < 1) return;
+            if (this.numEnvs === newNumEnvs) return;
+            this.numEnvs = newNumEnvs;
+            this.reset();
+        });
+        // View only changes what is drawn
+        if (this.dom.viewSelect) this.dom.viewSelect.addEventListener('change', (e) => {
+            this.viewMode = e.target.value === 'grid' ? 'grid' : 'first';
+        });
+
+        // Seed change: only a fresh run can be reproduced, so reset and remain stopped
+        if (this.dom.seedInput) this.dom.seedInput.addEventListener('change', (e) => {
+            this.setSeed(parseInt(e.target.value));
+        });
+        if (this.dom.seedRandomBtn) this.dom.seedRandomBtn.addEventListener('click', () => {
+            this.setSeed(randomSeed());
+        });
+    }
+
+    setSeed(seed) {
+        const newSeed = Math.floor(this.clamp(seed, 0, 4294967295));
+        if (this.dom.seedInput) this.dom.seedInput.value = String(newSeed);
+        if (this.seed === newSeed) return;
+        this.seed = newSeed;
+        this.reset();
+    }
+
+    setReward(rewardConfig) {
+        this.reward = resolveRewardConfig(rewardConfig);
+        this.syncRewardControls();
+        this.reset();
+    }
+
+    syncRewardControls() {
+        if (this.dom.rewardSelect) this.dom.rewardSelect.value = this.reward.preset;
+        for (const input of this.dom.rewardWeightInputs || []) {
+            input.value = String(this.reward.weights[input.dataset.term]);
+        }
+    }
+
+    // Live values go to the running agent; the others (e.g. replay capacity) mean a new run, like the other run settings
+    setHyperparameters(presetValues) {
+        // A preset's replay capacity may be more than a pixel network allows
+        const values = fitHyperparameters(presetValues, getObservation(this.architecture));
+        const changed = Object.keys(values).filter(name => values[name] !== this.agentConfig[name]);
+        const newRunNames = changed.filter(name => !HYPERPARAMETERS[name].live);
+        const newRun = newRunNames.length > 0;
+        // Presets change the replay settings too, so a run in progress is only thrown away on request
+        const runStarted = this.isTraining || this.isTrainingPaused || this.agentStatus.episode > 0;
+        const labels = newRunNames.map(name => HYPERPARAMETERS[name].label).join(' and ');
+        if (newRun && runStarted && !confirm(`Changing ${labels} starts a new run, discarding the current one. Continue?`)) {
+            this.syncHyperparameterControls();
+            return;
+        }
+        this.agentConfig = { ...this.agentConfig, ...values };
+        this.syncHyperparameterControls();
+        this.noteLoweredHyperparameters(Object.keys(values).filter(name => values[name] !== presetValues[name]));
+        if (changed.length === 0) return;
+        if (newRun) {
+            this.reset();
+            return;
+        }
+        const live = Object.fromEntries(changed.map(name => [name, values[name]]));
+        this.trainer.request('setHyperparameters', { values: live }).catch((error) => {
+            console.error('Failed to set hyperparameters:', error);
+            if (this.dom.hyperparameterError) this.dom.hyperparameterError.textContent = error.message;
+        });
+    }
+
+    // After an architecture change: lower what its observation mode doesn't allow (see fitHyperparameters).
+    // The worker does the same when it loads a model file.
+    fitHyperparameters() {
+        const fitted = fitHyperparameters(this.agentConfig, getObservation(this.architecture));
+        const lowered = Object.keys(HYPERPARAMETERS).filter(name => fitted[name] !== this.agentConfig[name]);
+        this.agentConfig = fitted;
+        this.syncHyperparameterControls();
+        this.noteLoweredHyperparameters(lowered);
+    }
+
+    noteLoweredHyperparameters(names) {
+        if (names.length === 0 || !this.dom.hyperparameterError) return;
+        const model = ARCHITECTURES[this.architecture].label;
+        this.dom.hyperparameterError.textContent = names.map(name =>
+            `${HYPERPARAMETERS[name].label} lowered to ${this.agentConfig[name]}, the most ${model} allows.`).join(' ');
+    }
+
+    syncHyperparameterControls() {
+        const observation = getObservation(this.architecture);
+        if (this.dom.hyperparameterPresetSelect) {
+            this.dom.hyperparameterPresetSelect.value = matchHyperparameterPreset(this.agentConfig, observation) || 'custom';
+        }
+        for (const input of this.dom.hyperparameterInputs || []) {
+            const name = input.dataset.hyperparameter;
+            if (HYPERPARAMETERS[name].boolean) {
+                input.value = this.agentConfig[name] ? 'on' : 'off';
+                continue;
+            }
+            input.max = String(hyperparameterRange(name, observation).max);
+            input.value = String(this.agentConfig[name]);
+        }
+        if (this.dom.hyperparameterError) this.dom.hyperparameterError.textContent = '';
+    }
+
+    // Epsilon has no effect with noisy nets, so its slider is disabled in that mode
+    syncExplorationControls() {
+        const noisy = this.exploration === 'noisy';
+        if (this.dom.explorationSelect) this.dom.explorationSelect.value = this.exploration;
+        if (this.dom.epsilonSlider) {
+            this.dom.epsilonSlider.disabled = noisy;
+            this.dom.epsilonSlider.title = noisy ? 'Not used: noisy nets explore through parameter noise' : '';
+        }
+        if (this.dom.epsilonRow) this.dom.epsilonRow.classList.toggle('disabled', noisy);
     }
 
     setupCallbacks() {
         // Log callback
-        this.agent.logCallback = (data) => {
+        this.trainer.on('log', ({ data, status }) => {
+            const previousLevel = this.agentStatus.curriculumLevel;
+            this.agentStatus = status;
             this.updateStats(data);
             this.addLogEntry(data);
-        };
+            if (this.chart) {
+                this.chart.push({ score: data.score, reward: data.reward, length: data.steps, epsilon: data.epsilon });
+            }
+            if (this.demonstrations) this.demonstrations.trackEpisode(data.episode + 1, status.statistics.avgScore);
+            if (status.curriculumLevel > previousLevel) {
+                this.addLogEntry({ isLevelUp: true, level: status.curriculumLevel, difficulty: status.difficulty });
+            }
+            if (this.inspector) this.inspector.refresh();
+        });
+
+        // Game state streamed from the worker replaces local simulation while training
+        this.trainer.on('snapshot', ({ snapshot, snapshots, qValues }) => {
+            if (!this.isTraining) return;
+            this.game.applySnapshot(snapshot);
+            this.gridSnapshots = snapshots;
+            this.liveQValues = qValues;
+        });
+
+        // Training finished, was paused or failed in the worker
+        this.trainer.on('trainingEnded', ({ runId, status, error, snapshot, snapshots }) => {
+            this.agentStatus = status;
+            if (runId !== this.runId) return;
+            this.game.applySnapshot(snapshot);
+            this.gridSnapshots = snapshots;
+            this.stopTraining();
+            if (error) {
+                this.addLogEntry({ isError: true, message: error });
+                return;
+            }
+            this.autosaveSession();
+        });
+
+        // Best and worst episodes recorded in the worker; training ones are tagged with their run
+        this.trainer.on('recording', ({ slot, recording, runId }) => {
+            if (runId !== undefined && runId !== this.runId) return;
+            if (this.replays) this.replays.add(slot, recording);
+        });
+
+        // Checkpoint taken by the worker between episodes while training
+        this.trainer.on('autosave', ({ runId, blob, status }) => {
+            if (runId !== this.runId) return;
+            this.storeSession(blob, status);
+        });
     }
 
     setupManualInput() {
@@ -259,8 +805,25 @@ class FlappyBirdDQN {
         };
 
         const onKey = (e) => {
+            // While coaching, Space/↑ flaps for the agent instead
+            if (this.isTraining && this.coaching && (e.code === 'Space' || e.code === 'ArrowUp')) {
+                e.preventDefault();
+                this.trainer.send('coachFlap');
+                return;
+            }
             // Block input if training is active or paused
             if (this.isTraining || this.isTrainingPaused) return;
+            // During a race the keys fly the player's bird there instead
+            if (this.race && this.race.active) {
+                if (e.code === 'Space' || e.code === 'ArrowUp') {
+                    e.preventDefault();
+                    this.race.flap();
+                } else if (e.code === 'KeyR') {
+                    e.preventDefault();
+                    this.race.start();
+                }
+                return;
+            }
             if (e.code === 'Space' || e.code === 'ArrowUp') {
                 e.preventDefault();
                 // If game over, go back to HOME; only HOME click/press starts game
@@ -281,6 +844,10 @@ class FlappyBirdDQN {
         };
 
         const onClick = (e) => {
+            if (this.isTraining && this.coaching) {
+                this.trainer.send('coachFlap');
+                return;
+            }
             // Block input if training is active or paused
             if (this.isTraining || this.isTrainingPaused) return;
             if (this.game.gameState === this.game.GAME_OVER) {
@@ -294,6 +861,14 @@ class FlappyBirdDQN {
         window.addEventListener('keydown', onKey);
         this.canvas.addEventListener('mousedown', onClick);
         this.canvas.addEventListener('touchstart', (e) => { e.preventDefault(); onClick(e); }, { passive: false });
+        if (this.race) {
+            const onRaceTap = (e) => {
+                e.preventDefault();
+                if (this.race.active) this.race.flap();
+            };
+            this.race.humanCanvas.addEventListener('mousedown', onRaceTap);
+            this.race.humanCanvas.addEventListener('touchstart', onRaceTap, { passive: false });
+        }
     }
 
     updateStats(data) {
@@ -302,9 +877,10 @@ class FlappyBirdDQN {
         if (this.dom && this.dom.epsilonLabel) this.dom.epsilonLabel.textContent = data.epsilon.toFixed(2);
         if (this.dom && this.dom.memorySizeLabel) this.dom.memorySizeLabel.textContent = data.memorySize;
 
-        const stats = this.agent.getStatistics();
+        const stats = this.agentStatus.statistics;
         if (this.dom && this.dom.avgScoreLabel) this.dom.avgScoreLabel.textContent = stats.avgScore.toFixed(2);
         if (this.dom && this.dom.maxScoreLabel) this.dom.maxScoreLabel.textContent = stats.maxScore;
+        this.updateCurriculumDisplay();
 
         // visual meters
         const epsPct = Math.max(0, Math.min(100, Math.round(data.epsilon * 100)));
@@ -312,10 +888,27 @@ class FlappyBirdDQN {
         if (this.dom && this.dom.epsilonSlider) this.dom.epsilonSlider.value = String(epsPct);
         if (this.dom && this.dom.epsilonValue) this.dom.epsilonValue.textContent = data.epsilon.toFixed(2);
 
-        const memPct = Math.max(0, Math.min(100, Math.round((data.memorySize / this.agent.memoryMaxLen) * 100)));
+        const memPct = Math.max(0, Math.min(100, Math.round((data.memorySize / this.agentStatus.memoryMaxLen) * 100)));
         if (this.dom && this.dom.memoryBar) this.dom.memoryBar.style.width = `${memPct}%`;
     }
 
+    updateCurriculumDisplay() {
+        const label = this.dom && this.dom.curriculumLabel;
+        if (!label) return;
+        const { curriculumLevel, difficulty } = this.agentStatus;
+        if (curriculumLevel === null) {
+            label.textContent = 'Off';
+            label.title = '';
+            return;
+        }
+        label.textContent = `Level ${curriculumLevel + 1}/${CURRICULUM_LEVELS.length}`;
+        label.title = difficulty ? this.describeDifficulty(difficulty) : '';
+    }
+
+    describeDifficulty(difficulty) {
+        return `gap ${difficulty.tubeGap}px, scroll ${difficulty.scrollSpeed}px/frame`;
+    }
+
     addLogEntry(data) {
         const log = document.getElementById('training-log');
         // Clear placeholder if it's the first entry
@@ -329,13 +922,23 @@ class FlappyBirdDQN {
         if (data.isModelLoaded) {
             entry.className += ' loaded';
             entry.style.color = '#4caf50';
-            entry.textContent = data.message || `📦 Loaded pretrained model (hidden=${this.hiddenDim}, epsilon=${this.agent.epsilon.toFixed(2)})`;
+            entry.textContent = data.message || `📦 Loaded pretrained model (hidden=${this.hiddenDim}, epsilon=${this.agentStatus.epsilon.toFixed(2)})`;
+        } else if (data.isLevelUp) {
+            entry.style.color = '#2196f3';
+            entry.textContent = `📈 Curriculum level ${data.level + 1}: ${this.describeDifficulty(data.difficulty)}`;
+        } else if (data.isError) {
+            entry.style.color = '#ff4d4f';
+            entry.textContent = `⚠️ Training stopped: ${data.message}`;
         } else if (data.isPaused) {
             entry.className += ' paused';
             entry.style.color = '#ff9800';
             entry.textContent = `⏸️ Training paused at step ${data.steps} of episode ${data.episode + 1}`;
         } else {
             entry.textContent = `Episode ${data.episode}: Score=${data.score}, Reward=${data.reward.toFixed(2)}, Steps=${data.steps}`;
+            // How much of the episode the coach flew
+            if (data.interventions || (this.coaching && data.interventions !== undefined)) {
+                entry.textContent += `, Coach=${data.interventions} (${(data.interventions / Math.max(1, data.steps) * 100).toFixed(1)}%)`;
+            }
         }
 
         log.insertBefore(entry, log.firstChild);
@@ -377,6 +980,8 @@ class FlappyBirdDQN {
 
         this.isTraining = true;
         this.isTrainingPaused = false;  // Clear pause state when starting
+        if (this.sessionPanel) this.sessionPanel.dismissResume();
+        if (this.race) this.race.stop();
         if (this.dom && this.dom.startBtn) this.dom.startBtn.disabled = true;
         if (this.dom && this.dom.stopBtn) this.dom.stopBtn.disabled = false;
 
@@ -394,40 +999,37 @@ class FlappyBirdDQN {
             stateEl.style.color = '#4caf50';
         }
 
-        // Start training in background (will resume if paused)
-        this.agent.train(episodes, true, this.trainingSpeed).then(() => {
-            if (this.skipNextStopTrainingCallback) {
-                this.skipNextStopTrainingCallback = false;
-                return;
-            }
-            this.stopTraining();
-        });
+        // Start training in the worker (will resume if paused); 'trainingEnded' reports back
+        this.agentStatus.isPaused = false;
+        this.runId++;
+        this.trainer.send('start', { runId: this.runId, episodes, delay: this.trainingSpeed });
     }
 
     stopTraining(options = {}) {
         const { silent = false } = options;
         this.isTraining = false;
-        this.agent.stop();
+        this.trainer.send('stop');
 
         if (this.dom && this.dom.startBtn) this.dom.startBtn.disabled = false;
         if (this.dom && this.dom.stopBtn) this.dom.stopBtn.disabled = true;
 
         // Update training state display
         const stateEl = (this.dom && this.dom.trainingState) || document.getElementById('training-state');
-        if (!silent && this.agent.isPaused && this.agent.currentEpisodeState) {
+        const status = this.agentStatus;
+        if (!silent && status.isPaused && status.currentEpisodeState) {
             // Training was paused mid-episode
             this.isTrainingPaused = true;  // Set pause flag
             this.setControlButtonLabel('start-btn', 'Start Training');
             if (stateEl) {
-                stateEl.textContent = `⏸️ Paused (Step ${this.agent.currentEpisodeState.steps})`;
+                stateEl.textContent = `⏸️ Paused (Step ${status.currentEpisodeState.steps})`;
                 stateEl.style.color = '#ff9800';
             }
             // Add visual indicator that training is paused
             this.addLogEntry({
-                episode: this.agent.episode,
-                score: this.env.game.score,
-                reward: this.agent.currentEpisodeState.totalReward,
-                steps: this.agent.currentEpisodeState.steps,
+                episode: status.episode,
+                score: this.game.score,
+                reward: status.currentEpisodeState.totalReward,
+                steps: status.currentEpisodeState.steps,
                 isPaused: true
             });
         } else {
@@ -442,25 +1044,32 @@ class FlappyBirdDQN {
     }
 
     reset() {
-        // Ensure any pending stop callback from an in-flight training won't override this reset UI
-        this.skipNextStopTrainingCallback = true;
+        // Ensure the end of an in-flight training run won't override this reset UI
+        this.runId++;
         this.stopTraining({ silent: true });
         this.isTrainingPaused = false;  // Clear pause flag on reset
-
-        // Use the new reset method in agent
-        this.agent.reset();
-        this.agent.epsilon = 0.3; // Reset epsilon to initial value
-
-        // Reset model (dispose old first if available)
-        if (this.model && typeof this.model.dispose === 'function') {
-            try { this.model.dispose(); } catch (e) { /* no-op */ }
-        }
-        this.model = new DDQN(4, 2, this.hiddenDim);
-        this.agent.model = this.model;
-
-        // Reset environment and game to HOME state
+        // The next save starts a new session instead of overwriting the old run's
+        this.sessionId = null;
+        // An evaluation still running would report on the old model
+        if (this.evaluation) this.evaluation.cancel();
+        if (this.race) this.race.stop();
+        if (this.replays) this.replays.remove(['trainingBest', 'trainingWorst']);
+        if (this.demonstrations) this.demonstrations.startRun(this.seed);
+
+        // Reset agent and model in the worker (epsilon back to its initial value)
+        this.agentStatus = this.createInitialStatus();
+        this.trainer.request('reset', this.getTrainerConfig())
+            .then((status) => {
+                this.agentStatus = status;
+                this.updateCurriculumDisplay();
+                if (this.inspector) this.inspector.refresh(true);
+            })
+            .catch((error) => console.error('Failed to reset training worker:', error));
+
+        // Reset game to HOME state at the default difficulty
+        this.game.setDifficulty();
         this.game.initializeGame();  // Use initializeGame to set HOME state, not PLAYING
-        this.env.previousScore = 0;
+        this.gridSnapshots = null;
 
         // Reset UI
         this.setControlButtonLabel('start-btn', 'Start Training');
@@ -490,25 +1099,43 @@ class FlappyBirdDQN {
             steps: 0
         });
 
+        if (this.chart) this.chart.clear();
+        this.liveQValues = null;
+
         // Clear log and set placeholder
         if (this.dom && this.dom.trainingLog) this.dom.trainingLog.innerHTML = '<div class="log-entry">No logs yet. Start training to view progress.</div>';
     }
 
-    async applyModelData(modelData, options = {}) {
-        if (!modelData || !modelData.weights || !Array.isArray(modelData.weights)) {
-            throw new Error('Invalid model file format');
+    // Parse a downloaded or imported model file and have the worker migrate and validate it,
+    // before anything running is reset; throws with the reason the file can't be loaded
+    async readModelFile(buffer) {
+        let data;
+        try {
+            data = await this.decompressJSONFromArrayBuffer(buffer);
+        } catch (error) {
+            throw new Error('Not a gzip-compressed JSON file');
         }
+        return this.trainer.request('validateModel', { data });
+    }
 
+    // file: a model file returned by readModelFile
+    async applyModelData(file, options = {}) {
         const { sourceLabel } = options; // e.g., 'Pretrained' or `Imported: filename.json`
 
-        // Read config
-        const cfg = modelData.config || {};
-        const loadedHidden = Number.isFinite(cfg.hiddenDim) ? cfg.hiddenDim : 64;
-        const loadedEpsilon = Number.isFinite(cfg.epsilon) ? cfg.epsilon : this.agent.epsilon;
+        // Read model settings and config
+        const { architecture: loadedArchitecture, hiddenDim: loadedHidden, exploration: loadedExploration } = file.model;
+        const cfg = file.config || {};
+        const loadedEpsilon = Number.isFinite(cfg.epsilon) ? cfg.epsilon : this.agentStatus.epsilon;
+        // Seed of the run that produced the model; older files don't have one
+        const loadedSeed = Number.isInteger(cfg.seed) ? cfg.seed : null;
+        // Older files were all trained deciding every frame
+        const loadedActionRepeat = Number.isInteger(cfg.actionRepeat) && cfg.actionRepeat >= 1 ? cfg.actionRepeat : 1;
+        // Likewise with the default shaped reward
+        const loadedReward = resolveRewardConfig(cfg.reward);
 
         // Apply Speed reset to 50
         this.trainingSpeed = 50;
-        this.agent.trainingDelay = 50;
+        this.trainer.send('setDelay', { delay: 50 });
         const speedSlider = document.getElementById('speed-slider');
         const speedValue = document.getElementById('speed-value');
         if (speedSlider) speedSlider.value = '50';
@@ -519,23 +1146,36 @@ class FlappyBirdDQN {
         const hiddenSelectEl = document.getElementById('hidden-select');
         if (hiddenSelectEl) hiddenSelectEl.value = String(loadedHidden);
 
-        // Recreate model with loadedHidden and set weights
-        this.model = new DDQN(4, 2, this.hiddenDim);
-        const tensors = modelData.weights.map(w => tf.tensor(w));
-        try {
-            this.model.model.setWeights(tensors);
-        } finally {
-            // Dispose created tensors to avoid memory leaks
-            tensors.forEach(t => t.dispose());
-        }
-        if (this.model.updateTarget) {
-            this.model.updateTarget();
+        // Apply Architecture from model
+        this.architecture = loadedArchitecture;
+        const architectureSelectEl = document.getElementById('architecture-select');
+        if (architectureSelectEl) architectureSelectEl.value = loadedArchitecture;
+        this.fitHyperparameters();
+
+        // Apply Seed from model, so resetting reproduces the run that trained it
+        if (loadedSeed !== null) {
+            this.seed = loadedSeed;
+            if (this.dom && this.dom.seedInput) this.dom.seedInput.value = String(loadedSeed);
         }
-        // Reattach to agent
-        this.agent.model = this.model;
+
+        // Apply Action repeat from model
+        this.actionRepeat = loadedActionRepeat;
+        if (this.dom && this.dom.repeatSelect) this.dom.repeatSelect.value = String(loadedActionRepeat);
+
+        // Apply Reward from model
+        this.reward = loadedReward;
+        this.syncRewardControls();
+
+        // Apply Exploration from model (decides whether the network has noisy layers)
+        this.exploration = loadedExploration;
+        this.syncExplorationControls();
+
+        // Recreate model in the worker from the file's settings and set weights
+        this.agentStatus = await this.trainer.request('loadModel', { file });
+        if (this.demonstrations) this.demonstrations.endRun();
+        if (this.inspector) this.inspector.refresh(true);
 
         // Apply Epsilon from model
-        this.agent.epsilon = loadedEpsilon;
         const epsSlider = document.getElementById('epsilon-slider');
         const epsValue = document.getElementById('epsilon-value');
         if (epsSlider) epsSlider.value = String(Math.round(loadedEpsilon * 100));
@@ -544,16 +1184,16 @@ class FlappyBirdDQN {
 
         // Update stats panel
         this.updateStats({
-            episode: this.agent.episode,
+            episode: this.agentStatus.episode,
             score: 0,
-            epsilon: this.agent.epsilon,
-            memorySize: this.agent.memory.length,
+            epsilon: this.agentStatus.epsilon,
+            memorySize: this.agentStatus.memorySize,
             reward: 0,
             steps: 0
         });
 
         // Add log entry for model loading
-        const baseMsg = `📦 ${sourceLabel ? sourceLabel + ' ' : ''}model loaded (hidden=${this.hiddenDim}, epsilon=${this.agent.epsilon.toFixed(2)})`;
+        const baseMsg = `📦 ${sourceLabel ? sourceLabel + ' ' : ''}model loaded (${ARCHITECTURES[this.architecture].label}${this.exploration === 'noisy' ? ' + noisy' : ''}, hidden=${this.hiddenDim}${this.actionRepeat > 1 ? `, repeat=${this.actionRepeat}` : ''}, reward=${REWARD_PRESETS[this.reward.preset].label}, epsilon=${this.agentStatus.epsilon.toFixed(2)}${loadedSeed !== null ? `, seed=${loadedSeed}` : ''})`;
         this.addLogEntry({
             isModelLoaded: true,
             message: baseMsg
@@ -562,51 +1202,250 @@ class FlappyBirdDQN {
 
     async loadPretrainedModel() {
         try {
-            // Reset to a clean state before loading weights
-            this.reset();
-
-            // Fetch pretrained model JSON.GZ and decompress
+            // Fetch pretrained model JSON.GZ, decompress and validate it
             const response = await fetch('models/flappy-bird-model.json.gz', { cache: 'no-cache' });
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const buffer = await response.arrayBuffer();
-            const modelData = await this.decompressJSONFromArrayBuffer(buffer);
-            await this.applyModelData(modelData, { sourceLabel: 'Pretrained' });
+            const file = await this.readModelFile(await response.arrayBuffer());
+
+            // Reset to a clean state before loading weights
+            this.reset();
+            await this.applyModelData(file, { sourceLabel: 'Pretrained' });
         } catch (error) {
             console.error('Failed to load pretrained model:', error);
-            alert('Failed to load pretrained model.');
+            alert(`Failed to load pretrained model: ${error.message}`);
         }
     }
 
     async exportModel() {
         try {
-            const weightTensors = this.model.model.getWeights();
-            const weights = weightTensors.map(w => w.arraySync());
-            const modelData = {
-                weights: weights,
-                config: {
-                    episode: this.agent.episode,
-                    epsilon: this.agent.epsilon,
-                    memorySize: this.agent.memory.length,
-                    hiddenDim: this.hiddenDim,
-                    statistics: this.agent.getStatistics(),
-                    timestamp: new Date().toISOString()
-                }
-            };
+            // Complete model file in the current schema (see model-schema.js)
+            const file = await this.trainer.request('exportModel');
 
             // Compress JSON payload using browser CompressionStream (gzip)
-            const dataBlob = await this.compressJSON(modelData);
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `flappy-bird-model-episode-${this.agent.episode}.json.gz`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+            const dataBlob = await this.compressJSON(file);
+            this.downloadBlob(dataBlob, `flappy-bird-model-episode-${file.config.episode}.json.gz`);
         } catch (error) {
             console.error('Failed to export model:', error);
             alert('Failed to export model.');
         }
     }
 
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Unlike Export, a checkpoint holds the whole training state (optimizer, replay memory, statistics,
+    // games) and resumes the run exactly. Saving pauses a running run.
+    async saveCheckpoint() {
+        try {
+            const { blob, status } = await this.trainer.request('saveCheckpoint');
+            this.downloadBlob(blob, `flappy-bird-checkpoint-episode-${status.episode}.ckpt`);
+            this.addLogEntry({
+                isModelLoaded: true,
+                message: `💾 Checkpoint saved (episode ${status.episode}, ${status.memorySize} transitions, ${(blob.size / 1048576).toFixed(1)} MB)`
+            });
+        } catch (error) {
+            console.error('Failed to save checkpoint:', error);
+            alert('Failed to save checkpoint.');
+        }
+    }
+
+    async handleCheckpointImport(event) {
+        const file = event.target.files && event.target.files[0];
+        // Clear input value to allow loading the same file again later
+        event.target.value = '';
+        if (!file) return;
+        try {
+            // The worker replaces the whole training state, so end the current run first
+            this.runId++;
+            this.stopTraining({ silent: true });
+            const result = await this.trainer.request('loadCheckpoint', { buffer: await file.arrayBuffer() });
+            this.sessionId = null;
+            this.applyCheckpoint(result, `Checkpoint loaded: ${file.name}`);
+        } catch (error) {
+            console.error('Failed to load checkpoint:', error);
+            alert(`Failed to load checkpoint: ${error.message}`);
+        }
+    }
+
+    // Show a run restored in the worker: its settings, statistics, learning curves and games
+    applyCheckpoint({ config, status, history, snapshot, snapshots }, sourceLabel) {
+        this.applyTrainerConfig(config);
+        this.agentStatus = status;
+        // The worker starts over on the best and worst training episodes
+        if (this.replays) this.replays.remove(['trainingBest', 'trainingWorst']);
+        if (this.demonstrations) this.demonstrations.endRun();
+        this.game.applySnapshot(snapshot);
+        this.gridSnapshots = snapshots;
+        this.liveQValues = null;
+        if (this.chart) this.chart.setHistory(history);
+        if (this.inspector) this.inspector.refresh(true);
+
+        // An interrupted episode continues with the next Start
+        this.isTrainingPaused = status.isPaused;
+        const stateEl = this.dom && this.dom.trainingState;
+        if (stateEl && status.isPaused && status.currentEpisodeState) {
+            stateEl.textContent = `⏸️ Paused (Step ${status.currentEpisodeState.steps})`;
+            stateEl.style.color = '#ff9800';
+        } else if (stateEl) {
+            stateEl.textContent = '⏹️ Stopped';
+            stateEl.style.color = '#666';
+        }
+
+        this.updateStats({
+            episode: status.episode,
+            score: snapshot.score,
+            epsilon: status.epsilon,
+            memorySize: status.memorySize,
+            reward: 0,
+            steps: 0
+        });
+
+        if (this.dom && this.dom.trainingLog) this.dom.trainingLog.innerHTML = '';
+        this.addLogEntry({
+            isModelLoaded: true,
+            message: `💾 ${sourceLabel} (${ARCHITECTURES[this.architecture].label}${this.exploration === 'noisy' ? ' + noisy' : ''}, episode ${status.episode}, ${status.memorySize} transitions, seed=${this.seed})`
+        });
+    }
+
+    // The network was fitted to the player's demonstrations, and their transitions may be in replay memory
+    applyPretraining({ episodes, transitions, steps, agreementAfter, seeded, status }) {
+        this.agentStatus = status;
+        this.updateStats({
+            episode: status.episode,
+            score: 0,
+            epsilon: status.epsilon,
+            memorySize: status.memorySize,
+            reward: 0,
+            steps: 0
+        });
+        if (this.inspector) this.inspector.refresh(true);
+        this.addLogEntry({
+            isModelLoaded: true,
+            message: `🎓 Pre-trained on ${episodes} demonstrations (${transitions} transitions, ${steps} steps, ` +
+                `${Math.round(agreementAfter * 100)}% agreement${seeded ? `, ${seeded} added to replay memory` : ''})`
+        });
+    }
+
+    setAutosave(enabled) {
+        this.autosave = enabled;
+        this.trainer.send('setAutosave', { intervalMs: enabled ? AUTOSAVE_INTERVAL_MS : 0 });
+    }
+
+    // A stopped or finished run is saved right away; while training the worker autosaves
+    async autosaveSession() {
+        if (!this.sessionPanel || !this.autosave) return;
+        const runId = this.runId;
+        try {
+            const { blob, status } = await this.trainer.request('saveCheckpoint');
+            if (runId === this.runId) await this.storeSession(blob, status);
+        } catch (error) {
+            console.error('Failed to autosave session:', error);
+            this.sessionPanel.setMessage(`Autosave failed: ${error.message}`);
+        }
+    }
+
+    // Save a checkpoint of the current run as its session, creating the session on first save
+    async storeSession(blob, status) {
+        if (!this.sessionPanel || !this.autosave) return;
+        const now = Date.now();
+        if (!this.sessionId) {
+            this.sessionId = `session-${now}`;
+            this.sessionCreatedAt = now;
+        }
+        const summary = {
+            id: this.sessionId,
+            createdAt: this.sessionCreatedAt,
+            updatedAt: now,
+            episode: status.episode,
+            avgScore: status.statistics.avgScore,
+            maxScore: status.statistics.maxScore,
+            memorySize: status.memorySize,
+            architecture: this.architecture,
+            exploration: this.exploration,
+            hiddenDim: this.hiddenDim,
+            numEnvs: this.numEnvs,
+            seed: this.seed,
+            bytes: blob.size,
+            // Page settings that aren't part of the checkpoint
+            settings: { trainingSpeed: this.trainingSpeed, totalEpisodes: this.totalEpisodes }
+        };
+        try {
+            await this.sessionStore.save(summary, blob);
+            this.sessionPanel.setMessage(`Autosaved at episode ${status.episode} (${new Date(now).toLocaleTimeString()}).`);
+        } catch (error) {
+            // Typically the storage quota
+            console.error('Failed to save session:', error);
+            this.sessionPanel.setMessage(`Autosave failed: ${error.message}`);
+        }
+        await this.sessionPanel.refresh();
+    }
+
+    async restoreSession(session) {
+        try {
+            const blob = await this.sessionStore.getCheckpoint(session.id);
+            this.runId++;
+            this.stopTraining({ silent: true });
+            const result = await this.trainer.request('loadCheckpoint', { buffer: await blob.arrayBuffer() });
+            this.applySessionSettings(session.settings || {});
+            this.applyCheckpoint(result, `Session restored (saved ${new Date(session.updatedAt).toLocaleString()})`);
+            // Later saves update this session
+            this.sessionId = session.id;
+            this.sessionCreatedAt = session.createdAt;
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+            alert(`Failed to restore session: ${error.message}`);
+        }
+    }
+
+    applySessionSettings({ trainingSpeed, totalEpisodes }) {
+        if (Number.isFinite(trainingSpeed)) {
+            this.trainingSpeed = this.clamp(trainingSpeed, 0, 100);
+            this.trainer.send('setDelay', { delay: this.trainingSpeed });
+            if (this.dom.speedSlider) this.dom.speedSlider.value = String(this.trainingSpeed);
+            if (this.dom.speedValue) this.dom.speedValue.textContent = `${this.trainingSpeed}ms`;
+        }
+        if (Number.isFinite(totalEpisodes)) {
+            this.totalEpisodes = this.clamp(totalEpisodes, 100, 50000);
+            if (this.dom.episodesInput) this.dom.episodesInput.value = String(this.totalEpisodes);
+        }
+    }
+
+    // Take over the settings of a run from the worker and show them in the controls
+    applyTrainerConfig(config) {
+        this.seed = config.seed;
+        this.numEnvs = config.numEnvs || 1;
+        this.actionRepeat = config.actionRepeat || 1;
+        this.reward = resolveRewardConfig(config.reward);
+        this.curriculum = !!config.curriculum;
+        this.architecture = config.architecture;
+        this.hiddenDim = config.hiddenDim;
+        this.exploration = config.exploration === 'noisy' ? 'noisy' : 'epsilon';
+        // Runs saved before the hyperparameters were editable use the defaults
+        this.agentConfig = {
+            ...this.agentConfig,
+            ...config.agentConfig,
+            ...resolveHyperparameters(config.agentConfig, getObservation(config.architecture))
+        };
+
+        if (!this.dom) return;
+        if (this.dom.seedInput) this.dom.seedInput.value = String(this.seed);
+        if (this.dom.envsSelect) this.dom.envsSelect.value = String(this.numEnvs);
+        if (this.dom.repeatSelect) this.dom.repeatSelect.value = String(this.actionRepeat);
+        if (this.dom.curriculumSelect) this.dom.curriculumSelect.value = this.curriculum ? 'on' : 'off';
+        if (this.dom.architectureSelect) this.dom.architectureSelect.value = this.architecture;
+        if (this.dom.hiddenSelect) this.dom.hiddenSelect.value = String(this.hiddenDim);
+        this.syncRewardControls();
+        this.syncHyperparameterControls();
+        this.syncExplorationControls();
+    }
+
     importModel() {
         const fileInput = document.getElementById('model-file-input');
         if (fileInput) {
@@ -623,13 +1462,14 @@ class FlappyBirdDQN {
                 try {
                     const buffer = e.target && e.target.result ? e.target.result : null;
                     if (!buffer) throw new Error('Empty file buffer');
-                    const modelData = await this.decompressJSONFromArrayBuffer(buffer);
-                    // Reset first, then apply imported model and log
+                    // Validate first, so a bad file leaves the current model alone
+                    const modelFile = await this.readModelFile(buffer);
+                    // Reset, then apply imported model and log
                     this.reset();
-                    await this.applyModelData(modelData, { sourceLabel: `Imported: ${file.name}` });
+                    await this.applyModelData(modelFile, { sourceLabel: `Imported: ${file.name}` });
                 } catch (parseErr) {
-                    console.error('Failed to parse compressed model file:', parseErr);
-                    alert('Invalid compressed model file.');
+                    console.error('Failed to load model file:', parseErr);
+                    alert(`Invalid model file: ${parseErr.message}`);
                 }
             };
             reader.readAsArrayBuffer(file);
@@ -654,7 +1494,7 @@ class FlappyBirdDQN {
             const dt = now - this._lastRenderTs;
             this._lastRenderTs = now;
 
-            // Only update game logic if:
+            // Only update game logic if (while training, the worker's snapshots drive the game):
             // 1. Not training (manual play)
             // 2. AND not paused (not in a paused training state)
             if (!this.isTraining && !this.isTrainingPaused) {
@@ -665,7 +1505,15 @@ class FlappyBirdDQN {
                 }
             }
             // Always render the current frame (frozen if paused)
-            this.env.render();
+            if (this.viewMode === 'grid' && (this.isTraining || this.isTrainingPaused) &&
+                this.gridSnapshots && this.gridSnapshots.length > 1) {
+                this.renderGrid(this.gridSnapshots);
+            } else {
+                this.game.render();
+            }
+            if (this.showQOverlay && this.liveQValues && (this.isTraining || this.isTrainingPaused)) {
+                this.drawQOverlay(this.liveQValues);
+            }
 
             // Draw pause overlay if training is paused
             if (this.isTrainingPaused) {
@@ -683,12 +1531,15 @@ class FlappyBirdDQN {
                 ctx.fillText('Click "Start Training" to continue', this.canvas.width / 2, this.canvas.height / 2 + 10);
 
                 // Display current step info
-                if (this.agent.currentEpisodeState) {
+                if (this.agentStatus.currentEpisodeState) {
                     ctx.font = '14px Arial';
-                    ctx.fillText(`Step: ${this.agent.currentEpisodeState.steps}`, this.canvas.width / 2, this.canvas.height / 2 + 35);
+                    ctx.fillText(`Step: ${this.agentStatus.currentEpisodeState.steps}`, this.canvas.width / 2, this.canvas.height / 2 + 35);
                 }
             }
 
+            // Grab the finished frame, overlays included
+            if (this.capture) this.capture.captureFrame(now);
+
             this.animationFrame = requestAnimationFrame(render);
         };
         // Initialize timestamp before first loop
@@ -696,6 +1547,48 @@ class FlappyBirdDQN {
         render();
     }
 
+    // Q(stay) and Q(jump) of the first game's current state, the greedy action highlighted
+    drawQOverlay([qStay, qJump]) {
+        const ctx = this.ctx;
+        const greedy = qJump > qStay ? 1 : 0;
+        const lines = [`stay ${qStay.toFixed(2)}`, `jump ${qJump.toFixed(2)}`];
+        ctx.save();
+        ctx.font = 'bold 14px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(this.canvas.width - 118, 8, 110, 44);
+        lines.forEach((line, i) => {
+            ctx.fillStyle = i === greedy ? '#ffeb3b' : 'white';
+            ctx.fillText(line, this.canvas.width - 14, 26 + i * 18);
+        });
+        ctx.restore();
+    }
+
+    // Tile every environment's game onto the canvas by replaying its snapshot through this.game
+    renderGrid(snapshots) {
+        const ctx = this.ctx;
+        const cols = Math.ceil(Math.sqrt(snapshots.length));
+        const tileWidth = this.canvas.width / cols;
+        const tileHeight = this.canvas.height / cols;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        snapshots.forEach((snapshot, i) => {
+            ctx.save();
+            ctx.translate((i % cols) * tileWidth, Math.floor(i / cols) * tileHeight);
+            // Tubes are drawn past the right edge of the game, keep them inside the tile
+            ctx.beginPath();
+            ctx.rect(0, 0, tileWidth, tileHeight);
+            ctx.clip();
+            ctx.scale(1 / cols, 1 / cols);
+            this.game.applySnapshot(snapshot);
+            this.game.render();
+            ctx.restore();
+        });
+        // Leave the first game in place for the pause overlay and the "first" view
+        this.game.applySnapshot(snapshots[0]);
+    }
+
     stopRendering() {
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
@@ -0,0 +1,380 @@
+﻿// Headless Flappy Bird simulation: physics, tubes, scoring and pixel collision.
+// Has no canvas or DOM dependencies, so it runs in Node and Web Workers as well as the page.
+import { Random } from './random.js';
+
+// Sprite pixels as palette indices (one hex digit per pixel), copied from the sprite sheet in game.js.
+// Indices 0 and 1 are fully transparent; everything else is solid for collision purposes.
+const TRANSPARENT_INDICES = new Set([0, 1]);
+
+// Grayscale luminance (0-1) of each sprite sheet palette entry, for rasterizing observations
+const PALETTE_LUMA = [0, 255, 106, 154, 176, 192, 195, 181, 146, 233, 122, 243, 244].map(v => v / 255);
+// The ground strip is drawn as one flat row; the sky background is left black
+const GROUND_LUMA = PALETTE_LUMA[2];
+
+// Bird animation frames, 5x3 each
+export const BIRD_SPRITES = [
+    ['777c0', '077aa', '00800'],
+    ['077c0', '777aa', '00800'],
+    ['077c0', '077aa', '70800']
+];
+
+// Pipe sprite rows, 6px wide: the body, and the wider cap at the gap end of each pipe.
+// The upper pipe ends in a 2-row cap, the lower pipe starts with a 1-row cap; both bodies
+// extend to the edge of the screen, so any gap size can be drawn and collided with.
+export const TUBE_ROWS = {
+    body: '139321',
+    cap: '239322'
+};
+const TUBE_UPPER_CAP_HEIGHT = 2;
+const TUBE_LOWER_CAP_HEIGHT = 1;
+// tube.y is the top of the original 44px pipe sprite; its gap starts 17px below that
+export const TUBE_UPPER_HEIGHT = 17;
+
+// Values of the original game; every level of difficulty is expressed relative to these
+export const DEFAULT_DIFFICULTY = {
+    tubeGap: 12,        // Vertical opening between the pipes (px)
+    gravity: 0.25,      // Added to the bird's vertical speed each frame
+    jumpSpeed: 1.4,     // Upward speed set by a flap
+    tubeSpacing: 19,    // Horizontal distance between consecutive tubes (px)
+    scrollSpeed: 1      // Tube and ground movement per frame (px)
+};
+
+// Build a boolean alpha mask (true where the pixel is opaque) from palette-index rows
+export function buildMaskFromRows(rows) {
+    const w = rows[0].length;
+    const h = rows.length;
+    const mask = new Array(w * h);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            mask[y * w + x] = !TRANSPARENT_INDICES.has(parseInt(rows[y][x], 16));
+        }
+    }
+    return { mask, w, h };
+}
+
+// Grayscale pixels (0-1) of palette-index rows; transparent pixels are null
+function buildLumaFromRows(rows) {
+    const w = rows[0].length;
+    const h = rows.length;
+    const luma = new Array(w * h);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const index = parseInt(rows[y][x], 16);
+            luma[y * w + x] = TRANSPARENT_INDICES.has(index) ? null : PALETTE_LUMA[index];
+        }
+    }
+    return { luma, w, h };
+}
+
+export class GameCore {
+    constructor(options = {}) {
+        // Tube placement is the only randomness in the game
+        this.rng = new Random(options.seed);
+
+        this.width = 32;
+        this.height = 32;
+
+        // Game states
+        this.HOME = 0;
+        this.PLAYING = 1;
+        this.GAME_OVER = 2;
+
+        // Bird properties
+        this.birdX = 5;
+        this.birdY = 14;
+        this.birdYSpeed = 0;
+        this.birdWidth = 5;
+        this.birdHeight = 3;
+        this.birdFrame = 0;
+
+        // Tube properties
+        this.tubes = [];
+        this.tubeWidth = 6;
+
+        // Physics and tube layout: tubeGap, gravity, jumpSpeed, tubeSpacing, scrollSpeed
+        this.setDifficulty(options.difficulty);
+
+        // Game state
+        this.gameState = this.HOME;
+        this.score = 0;
+        this.groundX = 0;
+        this.groundWidth = 35;  // Ground strip is wider than the screen and scrolls in a loop
+
+        // Set by jump() until the next frame, and the EpisodeRecorder told about every frame played
+        // (see recorder.js)
+        this.jumped = false;
+        this.recorder = null;
+
+        // Precomputed alpha masks for pixel collision
+        this.birdMasks = BIRD_SPRITES.map(rows => buildMaskFromRows(rows)); // one per bird frame
+        this.tubeRowMasks = {
+            body: buildMaskFromRows([TUBE_ROWS.body]),
+            cap: buildMaskFromRows([TUBE_ROWS.cap])
+        };
+        // Grayscale sprites for rasterize()
+        this.birdLumas = BIRD_SPRITES.map(rows => buildLumaFromRows(rows));
+        this.tubeRowLumas = {
+            body: buildLumaFromRows([TUBE_ROWS.body]),
+            cap: buildLumaFromRows([TUBE_ROWS.cap])
+        };
+
+        // Initialize game with HOME state
+        this.initializeGame();
+    }
+
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+    }
+
+    // Missing values fall back to DEFAULT_DIFFICULTY. Physics changes apply on the next frame,
+    // gap size to all tubes at once; tube spacing applies as tubes are recycled or reset.
+    setDifficulty(difficulty = {}) {
+        const values = { ...DEFAULT_DIFFICULTY, ...difficulty };
+        this.tubeGap = values.tubeGap;
+        this.gravity = values.gravity;
+        this.jumpSpeed = values.jumpSpeed;
+        this.tubeSpacing = values.tubeSpacing;
+        this.scrollSpeed = values.scrollSpeed;
+    }
+
+    getDifficulty() {
+        return {
+            tubeGap: this.tubeGap,
+            gravity: this.gravity,
+            jumpSpeed: this.jumpSpeed,
+            tubeSpacing: this.tubeSpacing,
+            scrollSpeed: this.scrollSpeed
+        };
+    }
+
+    reset() {
+        if (this.recorder) this.recorder.end();
+        this.birdY = 14;
+        this.birdYSpeed = 0;
+        this.score = 0;
+        this.birdFrame = 0;
+        this.gameState = this.PLAYING;
+        this.resetTubes();
+    }
+
+    initializeGame() {
+        if (this.recorder) this.recorder.end();
+        this.birdY = 14;
+        this.birdYSpeed = 0;
+        this.score = 0;
+        this.birdFrame = 0;
+        this.gameState = this.HOME;
+        this.resetTubes();
+    }
+
+    resetTubes() {
+        // Enough tubes that one is always waiting off-screen when another is recycled
+        const count = Math.max(2, Math.ceil((this.width + this.tubeWidth) / this.tubeSpacing));
+        this.tubes = [];
+        for (let i = 0; i < count; i++) {
+            this.tubes[i] = {
+                x: Math.round(48 + i * this.tubeSpacing),
+                y: 0
+            };
+            this.setTubeY(this.tubes[i]);
+        }
+    }
+
+    setTubeY(tube) {
+        // tube.y is the top of the upper pipe as drawn in the original 44px sprite:
+        // upper pipe height = 17, then the gap, then the lower pipe
+        // We pick a gap center in play area and back-compute sprite top (tube.y)
+        const gapHalf = this.tubeGap / 2; // 6 by default
+        const minGapCenter = 4 + gapHalf; // keep away from extreme edges
+        const maxGapCenter = this.height - 1 - 4 - gapHalf;
+        const gapCenter = Math.floor(this.rng.random() * (maxGapCenter - minGapCenter + 1)) + minGapCenter;
+        // Position the sprite so its gap center aligns with chosen gapCenter
+        const spriteGapCenterOffset = TUBE_UPPER_HEIGHT + gapHalf; // 23 by default
+        tube.y = Math.round(gapCenter - spriteGapCenterOffset);
+    }
+
+    // Which pipe row ('body' or 'cap') a tube has at screen row y, or null inside the gap
+    getTubeRow(tube, y) {
+        const gapTop = tube.y + TUBE_UPPER_HEIGHT;
+        const gapBottom = gapTop + this.tubeGap;
+        if (y < gapTop - TUBE_UPPER_CAP_HEIGHT) return 'body';
+        if (y < gapTop) return 'cap';
+        if (y < gapBottom) return null;
+        if (y < gapBottom + TUBE_LOWER_CAP_HEIGHT) return 'cap';
+        return 'body';
+    }
+
+    jump() {
+        if (this.gameState === this.HOME) {
+            this.gameState = this.PLAYING;
+            this.birdYSpeed = -this.jumpSpeed;
+            this.jumped = true;
+        } else if (this.gameState === this.PLAYING) {
+            this.birdYSpeed = -this.jumpSpeed;
+            this.jumped = true;
+        }
+    }
+
+    update() {
+        if (this.gameState === this.HOME) {
+            // In HOME state, just animate the bird
+            this.birdFrame++;
+            this.birdFrame %= 3;
+            return;
+        }
+
+        if (this.gameState !== this.PLAYING) return;
+
+        if (this.recorder) this.recorder.recordFrame();
+        this.jumped = false;
+
+        // Update bird physics
+        this.birdY = this.birdY + this.birdYSpeed;
+        this.birdYSpeed += this.gravity;  // Apply gravity
+
+        // Bird boundaries
+        if (this.birdY < 0) {
+            this.birdY = 0;
+            this.birdYSpeed = 0;
+        }
+        if (Math.floor(this.birdY) + this.birdHeight > this.height - 1) {
+            this.birdY = this.height - this.birdHeight - 1;
+            this.gameState = this.GAME_OVER;
+        }
+
+        // Update tubes
+        for (let tube of this.tubes) {
+            const previousRight = tube.x + this.tubeWidth;
+            tube.x -= this.scrollSpeed;
+
+            // Score when the tube's right edge passes the bird
+            if (previousRight > this.birdX && tube.x + this.tubeWidth <= this.birdX) {
+                this.score++;
+            }
+        }
+
+        // Recycle tubes that left the screen behind the last one
+        for (let tube of this.tubes) {
+            if (tube.x <= -this.tubeWidth) {
+                tube.x = Math.max(...this.tubes.map(t => t.x)) + this.tubeSpacing;
+                this.setTubeY(tube);
+            }
+        }
+
+        // Check collision using precomputed masks
+        this.checkCollision();
+
+        // Update ground (its pattern repeats every groundWidth - width + 1 px)
+        this.groundX -= this.scrollSpeed;
+        if (this.groundX < this.width - this.groundWidth) {
+            this.groundX += this.groundWidth - this.width + 1;
+        }
+
+        // Update bird frame for animation
+        this.birdFrame++;
+        this.birdFrame %= 3;
+
+        if (this.recorder && this.gameState === this.GAME_OVER) this.recorder.end();
+    }
+
+    checkCollision() {
+        const bw = this.birdWidth;
+        const bh = this.birdHeight;
+        const birdX = this.birdX;
+        const birdY = Math.floor(this.birdY);
+        const birdMask = this.birdMasks[this.birdFrame];
+
+        for (let i = 0; i < this.tubes.length; i++) {
+            const tube = this.tubes[i];
+            const tx = Math.floor(tube.x);
+
+            // Broad-phase: horizontal overlap
+            const x0 = Math.max(birdX, tx);
+            const x1 = Math.min(birdX + bw, tx + this.tubeWidth);
+            if (x0 >= x1) continue;
+
+            // Narrow-phase: mask overlap, row by row
+            for (let y = birdY; y < birdY + bh; y++) {
+                const row = this.getTubeRow(tube, y);
+                if (!row) continue;
+                const byRow = (y - birdY) * birdMask.w;
+                const tubeMask = this.tubeRowMasks[row].mask;
+                for (let x = x0; x < x1; x++) {
+                    if (birdMask.mask[(x - birdX) + byRow] && tubeMask[x - tx]) {
+                        this.gameState = this.GAME_OVER;
+                        return;
+                    }
+                }
+            }
+        }
+    }
+
+    render() {
+        // Headless: nothing to draw
+    }
+
+    // Draw the screen as width x height grayscale values (0-1, row-major) without a canvas,
+    // e.g. for pixel observations. Sprites are drawn from the same data the collision masks use.
+    rasterize(target = new Float32Array(this.width * this.height)) {
+        target.fill(0);
+        for (const tube of this.tubes) {
+            const tx = Math.floor(tube.x);
+            for (let y = 0; y < this.height; y++) {
+                const row = this.getTubeRow(tube, y);
+                if (row) this.rasterizeSprite(target, this.tubeRowLumas[row], tx, y);
+            }
+        }
+        target.fill(GROUND_LUMA, (this.height - 1) * this.width, this.height * this.width);
+        this.rasterizeSprite(target, this.birdLumas[this.birdFrame], this.birdX, Math.floor(this.birdY));
+        return target;
+    }
+
+    rasterizeSprite(target, sprite, left, top) {
+        for (let y = Math.max(0, top); y < Math.min(this.height, top + sprite.h); y++) {
+            for (let x = Math.max(0, left); x < Math.min(this.width, left + sprite.w); x++) {
+                const value = sprite.luma[(y - top) * sprite.w + (x - left)];
+                if (value !== null) target[y * this.width + x] = value;
+            }
+        }
+    }
+
+    // Plain-object copy of everything the renderer needs, cheap to post between threads
+    getSnapshot() {
+        return {
+            birdY: this.birdY,
+            birdYSpeed: this.birdYSpeed,
+            birdFrame: this.birdFrame,
+            tubes: this.tubes.map(tube => ({ x: tube.x, y: tube.y })),
+            gameState: this.gameState,
+            score: this.score,
+            groundX: this.groundX,
+            difficulty: this.getDifficulty()
+        };
+    }
+
+    applySnapshot(snapshot) {
+        // The game no longer follows from the frames recorded so far
+        if (this.recorder) this.recorder.discard();
+        this.birdY = snapshot.birdY;
+        this.birdYSpeed = snapshot.birdYSpeed;
+        this.birdFrame = snapshot.birdFrame;
+        this.tubes = snapshot.tubes.map(tube => ({ x: tube.x, y: tube.y }));
+        this.gameState = snapshot.gameState;
+        this.score = snapshot.score;
+        this.groundX = snapshot.groundX;
+        if (snapshot.difficulty) this.setDifficulty(snapshot.difficulty);
+    }
+
+    getClosestTube() {
+        // Get the tube that's closest ahead of the bird
+        let closest = this.tubes[0];
+        for (let tube of this.tubes) {
+            if (tube.x + this.tubeWidth > this.birdX) {
+                if (tube.x < closest.x || closest.x + this.tubeWidth <= this.birdX) {
+                    closest = tube;
+                }
+            }
+        }
+        return closest;
+    }
+}
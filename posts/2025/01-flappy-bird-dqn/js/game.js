@@ -1,38 +1,15 @@
-﻿// Flappy Bird Game Core
-export class Game {
-    constructor(canvas) {
+﻿// Flappy Bird canvas renderer on top of the headless game core
+import { GameCore, TUBE_UPPER_HEIGHT } from './game-core.js';
+
+export class Game extends GameCore {
+    constructor(canvas, options = {}) {
+        super(options);
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.scale = 10;
-        this.width = 32;
-        this.height = 32;
         this.canvas.width = this.width * this.scale;
         this.canvas.height = this.height * this.scale;
 
-        // Game states
-        this.HOME = 0;
-        this.PLAYING = 1;
-        this.GAME_OVER = 2;
-
-        // Bird properties
-        this.birdX = 5;
-        this.birdY = 14;
-        this.birdYSpeed = 0;
-        this.birdWidth = 5;
-        this.birdHeight = 3;
-        this.birdFrame = 0;
-        this.gravity = 0.25;  // Gravity force applied each frame
-
-        // Tube properties
-        this.tubes = [];
-        this.tubeWidth = 6;
-        this.tubeGap = 12;
-
-        // Game state
-        this.gameState = this.HOME;
-        this.score = 0;
-        this.groundX = 0;
-
         // Sprite locations
         this.bgLoc = { x: 0, y: 0, width: 32, height: 32 };
         this.groundLoc = { x: 0, y: 31, width: 35, height: 1 };
@@ -41,17 +18,13 @@ export class Game {
             { x: 32, y: 3, width: 5, height: 3 },
             { x: 32, y: 6, width: 5, height: 3 }
         ];
-        this.tubeLoc = { x: 37, y: 0, width: 6, height: 44 };
+        // Pipe pieces from the full 6x44 pipe sprite; bodies are stretched to the screen edges
+        this.tubeBodyLoc = { x: 37, y: 0, width: 6, height: 1 };
+        this.tubeUpperCapLoc = { x: 37, y: 15, width: 6, height: 2 };
+        this.tubeLowerCapLoc = { x: 37, y: 29, width: 6, height: 1 };
 
-        // Load sprite sheet
+        // Load sprite sheet (collision masks are built into the core, so simulation never waits on it)
         this.initSpriteSheet();
-
-        // Precomputed alpha masks for pixel collision
-        this.birdMasks = []; // one per bird frame
-        this.tubeMask = null; // full pipe sprite mask
-
-        // Initialize game with HOME state
-        this.initializeGame();
     }
 
     initSpriteSheet() {
@@ -69,33 +42,9 @@ export class Game {
         // When image loads, draw it to the sprite sheet canvas
         this.spriteSheetImage.onload = () => {
             this.spriteLoaded = true;
-
-            // Build alpha masks for collision
-            this.birdMasks = this.birdLocs.map(loc => this.buildAlphaMaskFromSprite(loc));
-            this.tubeMask = this.buildAlphaMaskFromSprite(this.tubeLoc);
         };
     }
 
-    // Build a boolean alpha mask (true where alpha > 0) from a sprite rect
-    buildAlphaMaskFromSprite(locRect) {
-        const temp = document.createElement('canvas');
-        temp.width = locRect.width;
-        temp.height = locRect.height;
-        const tc = temp.getContext('2d');
-        tc.imageSmoothingEnabled = false;
-        tc.drawImage(
-            this.spriteSheetImage,
-            locRect.x, locRect.y, locRect.width, locRect.height,
-            0, 0, locRect.width, locRect.height
-        );
-        const img = tc.getImageData(0, 0, locRect.width, locRect.height).data;
-        const mask = new Array(locRect.width * locRect.height);
-        for (let i = 0; i < img.length; i += 4) {
-            mask[i >> 2] = img[i + 3] > 0;
-        }
-        return { mask, w: locRect.width, h: locRect.height };
-    }
-
     drawSpriteSheetImage(locRect, x, y, scale = this.scale) {
         if (!this.spriteLoaded) return;
         this.ctx.imageSmoothingEnabled = false;
@@ -106,145 +55,29 @@ export class Game {
         );
     }
 
-    reset() {
-        this.birdY = 14;
-        this.birdYSpeed = 0;
-        this.score = 0;
-        this.birdFrame = 0;
-        this.gameState = this.PLAYING;
-        this.resetTubes();
-    }
-
-    initializeGame() {
-        this.birdY = 14;
-        this.birdYSpeed = 0;
-        this.score = 0;
-        this.birdFrame = 0;
-        this.gameState = this.HOME;
-        this.resetTubes();
-    }
-
-    resetTubes() {
-        this.tubes = [];
-        for (let i = 0; i < 2; i++) {
-            this.tubes[i] = {
-                x: Math.round(48 + i * 19),
-                y: 0
-            };
-            this.setTubeY(this.tubes[i]);
-        }
-    }
-
-    setTubeY(tube) {
-        // Using full-pipe sprite (44px tall) where:
-        // upper pipe height = 17, gap = 12, lower pipe height = 15
-        // Gap center within the sprite is at 17 + 6 = 23 from the sprite top
-        // We pick a gap center in play area and back-compute sprite top (tube.y)
-        const gapHalf = this.tubeGap / 2; // 6
-        const minGapCenter = 4 + gapHalf; // keep away from extreme edges
-        const maxGapCenter = this.height - 1 - 4 - gapHalf;
-        const gapCenter = Math.floor(Math.random() * (maxGapCenter - minGapCenter + 1)) + minGapCenter;
-        // Position the full sprite so its internal gap center aligns with chosen gapCenter
-        const spriteGapCenterOffset = 17 + 6; // 23
-        tube.y = Math.round(gapCenter - spriteGapCenterOffset);
-    }
-
-    jump() {
-        if (this.gameState === this.HOME) {
-            this.gameState = this.PLAYING;
-            this.birdYSpeed = -1.4;
-        } else if (this.gameState === this.PLAYING) {
-            this.birdYSpeed = -1.4;
-        }
-    }
-
-    update() {
-        if (this.gameState === this.HOME) {
-            // In HOME state, just animate the bird
-            this.birdFrame++;
-            this.birdFrame %= 3;
-            return;
-        }
-
-        if (this.gameState !== this.PLAYING) return;
-
-        // Update bird physics
-        this.birdY = this.birdY + this.birdYSpeed;
-        this.birdYSpeed += this.gravity;  // Apply gravity
-
-        // Bird boundaries
-        if (this.birdY < 0) {
-            this.birdY = 0;
-            this.birdYSpeed = 0;
-        }
-        if (Math.floor(this.birdY) + this.birdHeight > this.height - 1) {
-            this.birdY = this.height - this.birdHeight - 1;
-            this.gameState = this.GAME_OVER;
-        }
-
-        // Update tubes
-        for (let tube of this.tubes) {
-            if (--tube.x <= -this.tubeWidth) {
-                tube.x = 32;
-                this.setTubeY(tube);
-            }
-
-            // Score when bird passes tube
-            if (tube.x === this.birdX - this.tubeWidth) {
-                this.score++;
-            }
-        }
-
-        // Check collision using precomputed masks
-        this.checkCollision();
-
-        // Update ground
-        if (--this.groundX < this.bgLoc.width - this.groundLoc.width) {
-            this.groundX = 0;
-        }
-
-        // Update bird frame for animation
-        this.birdFrame++;
-        this.birdFrame %= 3;
+    // Draw a sprite stretched vertically to the given number of game pixels
+    drawSpriteSheetStretched(locRect, x, y, height, scale = this.scale) {
+        if (!this.spriteLoaded || height <= 0) return;
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(
+            this.spriteSheetImage,
+            locRect.x, locRect.y, locRect.width, locRect.height,
+            x * scale, y * scale, locRect.width * scale, height * scale
+        );
     }
 
-    checkCollision() {
-        if (!this.spriteLoaded || !this.tubeMask || this.birdMasks.length === 0) return;
-
-        const bw = this.birdWidth;
-        const bh = this.birdHeight;
-        const birdX = this.birdX;
-        const birdY = Math.floor(this.birdY);
-        const birdMask = this.birdMasks[this.birdFrame];
-
-        for (let i = 0; i < this.tubes.length; i++) {
-            const tube = this.tubes[i];
-            const tw = this.tubeMask.w;
-            const th = this.tubeMask.h;
-            const tx = tube.x;
-            const ty = tube.y;
-
-            // AABB broad-phase
-            const x0 = Math.max(birdX, tx);
-            const y0 = Math.max(birdY, ty);
-            const x1 = Math.min(birdX + bw, tx + tw);
-            const y1 = Math.min(birdY + bh, ty + th);
-            if (x0 >= x1 || y0 >= y1) continue;
-
-            // Narrow-phase: mask overlap
-            for (let y = y0; y < y1; y++) {
-                const byRow = (y - birdY) * birdMask.w;
-                const tyRow = (y - ty) * this.tubeMask.w;
-                for (let x = x0; x < x1; x++) {
-                    const bi = (x - birdX) + byRow;
-                    const ti = (x - tx) + tyRow;
-                    if (birdMask.mask[bi] && this.tubeMask.mask[ti]) {
-                        this.gameState = this.GAME_OVER;
-                        return;
-                    }
-                }
-            }
-        }
+    // Upper and lower pipe around a gap of tubeGap pixels (same geometry as GameCore.getTubeRow)
+    drawTube(tube) {
+        const x = Math.floor(tube.x);
+        const gapTop = tube.y + TUBE_UPPER_HEIGHT;
+        const gapBottom = gapTop + this.tubeGap;
+        const upperCapTop = gapTop - this.tubeUpperCapLoc.height;
+        const lowerBodyTop = gapBottom + this.tubeLowerCapLoc.height;
+
+        this.drawSpriteSheetStretched(this.tubeBodyLoc, x, 0, upperCapTop);
+        this.drawSpriteSheetImage(this.tubeUpperCapLoc, x, upperCapTop);
+        this.drawSpriteSheetImage(this.tubeLowerCapLoc, x, gapBottom);
+        this.drawSpriteSheetStretched(this.tubeBodyLoc, x, lowerBodyTop, this.height - lowerBodyTop);
     }
 
     render() {
@@ -255,7 +88,7 @@ export class Game {
 
         // Draw tubes
         for (let tube of this.tubes) {
-            this.drawSpriteSheetImage(this.tubeLoc, tube.x, tube.y);
+            this.drawTube(tube);
         }
 
         // Draw ground
@@ -313,17 +146,4 @@ export class Game {
             this.ctx.fillText('Score: ' + this.score, this.canvas.width / 2, this.canvas.height / 2 + 30);
         }
     }
-
-    getClosestTube() {
-        // Get the tube that's closest ahead of the bird
-        let closest = this.tubes[0];
-        for (let tube of this.tubes) {
-            if (tube.x + this.tubeWidth > this.birdX) {
-                if (tube.x < closest.x || closest.x + this.tubeWidth <= this.birdX) {
-                    closest = tube;
-                }
-            }
-        }
-        return closest;
-    }
 }
\ No newline at end of file
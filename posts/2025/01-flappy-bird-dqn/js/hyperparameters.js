@@ -0,0 +1,133 @@
+// DQN hyperparameters editable in the Parameters card, their valid ranges and presets. The page keeps
+// them in its agentConfig; the worker applies them to the Agent and the DQN's optimizer.
+
+// live: applied to the running agent as soon as it changes; the others only take effect on a new run.
+// maxByObservation: a lower max for some observation modes (see hyperparameterRange). Number inputs
+// count steps from min, so every default, preset value and max is min plus a whole number of steps.
+// boolean: an on/off setting instead of a number.
+export const HYPERPARAMETERS = {
+    gamma: {
+        label: 'Gamma',
+        description: 'Discount factor of future rewards',
+        min: 0.5, max: 0.9999, step: 0.0001, live: true
+    },
+    learningRate: {
+        label: 'Learning rate',
+        description: 'Adam step size',
+        min: 0.00001, max: 0.01, step: 0.00001, live: true
+    },
+    epsilonDecay: {
+        label: 'ε decay',
+        description: 'Epsilon is multiplied by this after every replay',
+        min: 0.9, max: 1, step: 0.0001, live: true
+    },
+    epsilonMin: {
+        label: 'ε min',
+        description: 'Epsilon never decays below this',
+        min: 0, max: 1, step: 0.01, live: true
+    },
+    batchSize: {
+        label: 'Batch size',
+        description: 'Transitions per gradient step',
+        min: 8, max: 512, step: 1, integer: true, live: true
+    },
+    // Sizes the replay memory (and the priority tree), so it needs a new run. A pixel transition
+    // keeps two 16x16x4 float32 states, 8 KB, and checkpoints copy them once more while encoding.
+    memoryMaxLen: {
+        label: 'Replay capacity',
+        description: 'Transitions kept in replay memory; changing it starts a new run',
+        min: 100, max: 200000, step: 100, integer: true, live: false,
+        maxByObservation: { pixels: 20000 }
+    },
+    // Stored transitions already sum n rewards, so a new n needs a new run too
+    nStep: {
+        label: 'N-step returns',
+        description: 'Rewards summed into each TD target before bootstrapping (1 = one-step); changing it starts a new run',
+        min: 1, max: 10, step: 1, integer: true, live: false
+    },
+    // Keeps a priority tree next to the replay memory, so it needs a new run too
+    prioritized: {
+        label: 'Prioritized replay',
+        description: 'Sample transitions by TD error instead of uniformly; changing it starts a new run',
+        boolean: true, live: false
+    },
+    targetUpdateFreq: {
+        label: 'Target update',
+        description: 'Episodes between copies of the online network to the target network (DDQN)',
+        min: 1, max: 1000, step: 1, integer: true, live: true
+    }
+};
+
+export const HYPERPARAMETER_PRESETS = {
+    'default': {
+        label: 'Default',
+        values: { gamma: 0.99, learningRate: 0.001, epsilonDecay: 0.9995, epsilonMin: 0.01, batchSize: 32, memoryMaxLen: 10000, nStep: 1, prioritized: false, targetUpdateFreq: 10 }
+    },
+    // Quick feedback in a short session, at the cost of stability
+    'fast': {
+        label: 'Fast',
+        values: { gamma: 0.98, learningRate: 0.003, epsilonDecay: 0.995, epsilonMin: 0.01, batchSize: 64, memoryMaxLen: 5000, nStep: 3, prioritized: false, targetUpdateFreq: 5 }
+    },
+    // Smaller steps from more data, for long runs
+    'stable': {
+        label: 'Stable',
+        values: { gamma: 0.995, learningRate: 0.0003, epsilonDecay: 0.9998, epsilonMin: 0.02, batchSize: 64, memoryMaxLen: 50000, nStep: 1, prioritized: true, targetUpdateFreq: 25 }
+    }
+};
+
+// For messages, e.g. "with pixel observations"
+const OBSERVATION_LABELS = { features: 'feature', pixels: 'pixel' };
+
+// The values the agent has always used
+export const DEFAULT_HYPERPARAMETER_PRESET = 'default';
+
+// { min, max } of name for a network seeing observation ('features' or 'pixels', see getObservation)
+export function hyperparameterRange(name, observation) {
+    const { min, max, maxByObservation } = HYPERPARAMETERS[name];
+    return { min, max: Math.min(max, (maxByObservation && maxByObservation[observation]) || max) };
+}
+
+// Error message for a value outside name's range, or null if it is valid
+export function validateHyperparameter(name, value, observation) {
+    const definition = HYPERPARAMETERS[name];
+    if (!definition) return `Unknown hyperparameter: ${name}`;
+    const { label, integer } = definition;
+    if (definition.boolean) return typeof value === 'boolean' ? null : `${label} must be on or off`;
+    const { min, max } = hyperparameterRange(name, observation);
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+    if (integer && !Number.isInteger(value)) return `${label} must be a whole number`;
+    if (value < min || value > max) {
+        return `${label} must be between ${min} and ${max}` + (max < definition.max ? ` with ${OBSERVATION_LABELS[observation] || observation} observations` : '');
+    }
+    return null;
+}
+
+// Every hyperparameter from values, with missing or invalid ones taken from the default preset
+export function resolveHyperparameters(values = {}, observation) {
+    const defaults = HYPERPARAMETER_PRESETS[DEFAULT_HYPERPARAMETER_PRESET].values;
+    const resolved = {};
+    for (const name of Object.keys(HYPERPARAMETERS)) {
+        const value = values ? values[name] : undefined;
+        resolved[name] = validateHyperparameter(name, value, observation) === null ? value : defaults[name];
+    }
+    return resolved;
+}
+
+// values with numbers above their max for observation lowered to it, e.g. a preset's replay capacity
+// for a pixel network
+export function fitHyperparameters(values, observation) {
+    const fitted = { ...values };
+    for (const name of Object.keys(values)) {
+        if (HYPERPARAMETERS[name] && !HYPERPARAMETERS[name].boolean) fitted[name] = Math.min(values[name], hyperparameterRange(name, observation).max);
+    }
+    return fitted;
+}
+
+// Key of the preset values match exactly (as fitted to observation), or null for a custom set
+export function matchHyperparameterPreset(values, observation) {
+    const match = Object.entries(HYPERPARAMETER_PRESETS).find(([, preset]) => {
+        const presetValues = fitHyperparameters(preset.values, observation);
+        return Object.keys(HYPERPARAMETERS).every(name => presetValues[name] === values[name]);
+    });
+    return match ? match[0] : null;
+}
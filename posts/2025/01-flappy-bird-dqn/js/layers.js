@@ -0,0 +1,110 @@
+﻿// Custom TensorFlow.js layers used by the Q-networks
+import { Random } from './random.js';
+
+// Combines the dueling streams into Q-values: Q(s, a) = V(s) + A(s, a) - mean_a' A(s, a')
+// Subtracting the mean advantage keeps V and A identifiable.
+export class DuelingAggregation extends tf.layers.Layer {
+    static get className() {
+        return 'DuelingAggregation';
+    }
+
+    computeOutputShape(inputShape) {
+        // inputShape = [valueShape, advantageShape]
+        return inputShape[1];
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const [value, advantage] = inputs;
+            return value.add(advantage.sub(advantage.mean(1, true)));
+        });
+    }
+}
+tf.serialization.registerClass(DuelingAggregation);
+
+// Factorised Gaussian noise (Fortunato et al., 2017): f(x) = sign(x) * sqrt(|x|)
+function scaledNoise(shape, seed) {
+    const x = tf.randomNormal(shape, 0, 1, 'float32', seed);
+    return x.sign().mul(x.abs().sqrt());
+}
+
+// Dense layer with learnable, input-independent parameter noise:
+// W = mu_W + sigma_W * (f(eps_in) f(eps_out)^T), b = mu_b + sigma_b * f(eps_out)
+// Fresh noise is drawn on every forward pass, so acting greedily on its output still explores.
+export class NoisyDense extends tf.layers.Layer {
+    constructor(config) {
+        super(config);
+        this.units = config.units;
+        this.activation = config.activation || 'linear';
+        this.sigmaInit = config.sigmaInit ?? 0.5;
+        // Seeds the mu initializers and every noise sample
+        this.rng = new Random(config.seed);
+        this.seed = this.rng.seed;
+        // When false the layer uses its mean weights and draws no noise (see DQN.predictMean)
+        this.noiseEnabled = true;
+        // Seeds of the noise held by holdNoise(), or null to draw fresh noise on every pass
+        this.heldNoiseSeeds = null;
+    }
+
+    // Every pass uses the same noise sample until releaseNoise()
+    holdNoise() {
+        this.heldNoiseSeeds = [this.rng.nextSeed(), this.rng.nextSeed()];
+    }
+
+    releaseNoise() {
+        this.heldNoiseSeeds = null;
+    }
+
+    static get className() {
+        return 'NoisyDense';
+    }
+
+    build(inputShape) {
+        const inputDim = inputShape[inputShape.length - 1];
+        const bound = 1 / Math.sqrt(inputDim);
+        const sigma = this.sigmaInit / Math.sqrt(inputDim);
+        const muInitializer = () => tf.initializers.randomUniform({ minval: -bound, maxval: bound, seed: this.rng.nextSeed() });
+        const sigmaInitializer = tf.initializers.constant({ value: sigma });
+
+        this.inputDim = inputDim;
+        this.weightMu = this.addWeight('weight_mu', [inputDim, this.units], 'float32', muInitializer());
+        this.weightSigma = this.addWeight('weight_sigma', [inputDim, this.units], 'float32', sigmaInitializer);
+        this.biasMu = this.addWeight('bias_mu', [this.units], 'float32', muInitializer());
+        this.biasSigma = this.addWeight('bias_sigma', [this.units], 'float32', sigmaInitializer);
+        this.built = true;
+    }
+
+    computeOutputShape(inputShape) {
+        return [...inputShape.slice(0, -1), this.units];
+    }
+
+    call(inputs) {
+        return tf.tidy(() => {
+            const x = Array.isArray(inputs) ? inputs[0] : inputs;
+            if (!this.noiseEnabled) {
+                const output = tf.matMul(x, this.weightMu.read()).add(this.biasMu.read());
+                return this.activation === 'relu' ? tf.relu(output) : output;
+            }
+            const [seedIn, seedOut] = this.heldNoiseSeeds || [this.rng.nextSeed(), this.rng.nextSeed()];
+            const noiseIn = scaledNoise([this.inputDim, 1], seedIn);
+            const noiseOut = scaledNoise([1, this.units], seedOut);
+
+            const weight = this.weightMu.read().add(this.weightSigma.read().mul(noiseIn.mul(noiseOut)));
+            const bias = this.biasMu.read().add(this.biasSigma.read().mul(noiseOut.reshape([this.units])));
+            const output = tf.matMul(x, weight).add(bias);
+
+            return this.activation === 'relu' ? tf.relu(output) : output;
+        });
+    }
+
+    getConfig() {
+        return {
+            ...super.getConfig(),
+            units: this.units,
+            activation: this.activation,
+            sigmaInit: this.sigmaInit,
+            seed: this.seed
+        };
+    }
+}
+tf.serialization.registerClass(NoisyDense);
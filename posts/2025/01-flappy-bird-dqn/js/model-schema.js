@@ -0,0 +1,148 @@
+// Exported model files: a versioned JSON schema, migration of older files and validation
+//
+// Version 2:
+// {
+//     schemaVersion: 2,
+//     model: { architecture, exploration, observation, stateDim, actionDim, hiddenDim, weightShapes },
+//     weights: [...],    // one nested number array per entry of weightShapes, in model.getWeights() order
+//     config: { episode, epsilon, memorySize, actionRepeat, reward, seed, statistics, timestamp }
+// }
+// Version 1 (unversioned) files only had { weights, config }, with the model settings in config.
+import { ARCHITECTURES, getObservation } from './dqn.js';
+
+export const MODEL_SCHEMA_VERSION = 2;
+
+// Shape of a nested array of numbers, e.g. [[1, 2], [3, 4]] -> [2, 2]; null if ragged or not numeric
+export function getArrayShape(value) {
+    if (!Array.isArray(value)) {
+        return Number.isFinite(value) ? [] : null;
+    }
+    if (value.length === 0) return null;
+    const inner = getArrayShape(value[0]);
+    if (!inner) return null;
+    for (let i = 1; i < value.length; i++) {
+        const shape = getArrayShape(value[i]);
+        if (!shape || !sameShape(shape, inner)) return null;
+    }
+    return [value.length, ...inner];
+}
+
+function sameShape(a, b) {
+    return a.length === b.length && a.every((size, i) => size === b[i]);
+}
+
+function formatShape(shape) {
+    return `[${shape.join(', ')}]`;
+}
+
+// Settings of a model about to be exported, in the schema's model section
+export function describeModel({ architecture, exploration, stateDim, actionDim, hiddenDim, weightShapes }) {
+    return {
+        architecture: architecture,
+        exploration: exploration,
+        observation: getObservation(architecture),
+        stateDim: stateDim,
+        actionDim: actionDim,
+        hiddenDim: hiddenDim,
+        weightShapes: weightShapes
+    };
+}
+
+// Bring a parsed file of any known version up to MODEL_SCHEMA_VERSION. getDims(architecture)
+// returns the { stateDim, actionDim } this game gives that architecture: version 1 files didn't
+// record them, and could only have been trained on the same game.
+export function migrateModelFile(data, getDims) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.weights)) {
+        throw new Error('Not a model file: it has no weights');
+    }
+    const version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Unknown model file version: ${data.schemaVersion}`);
+    }
+    if (version > MODEL_SCHEMA_VERSION) {
+        throw new Error(`Model file version ${version} is newer than this page supports (${MODEL_SCHEMA_VERSION})`);
+    }
+
+    if (version === 2) return data;
+
+    const { architecture: cfgArchitecture, exploration, hiddenDim, ...config } = data.config || {};
+    // Files exported before architectures were selectable are all DDQN
+    const architecture = cfgArchitecture || 'ddqn';
+    if (!ARCHITECTURES[architecture]) {
+        throw new Error(`Unknown model architecture: ${architecture}`);
+    }
+    return {
+        schemaVersion: MODEL_SCHEMA_VERSION,
+        model: describeModel({
+            architecture: architecture,
+            exploration: exploration === 'noisy' ? 'noisy' : 'epsilon',
+            ...getDims(architecture),
+            hiddenDim: Number.isFinite(hiddenDim) ? hiddenDim : 64,
+            // Ragged or non-numeric weights are reported by validateModelFile
+            weightShapes: data.weights.map(w => getArrayShape(w) || [])
+        }),
+        weights: data.weights,
+        config: config
+    };
+}
+
+// Check a migrated file against the network it would be loaded into. Once the model settings
+// are known to be valid, getExpected(file.model) returns that network's { stateDim, actionDim,
+// weightShapes }. Throws an Error describing the first problem found.
+export function validateModelFile(file, getExpected) {
+    const model = file.model;
+    if (!model || typeof model !== 'object') {
+        throw new Error('Model file has no model section');
+    }
+    if (!ARCHITECTURES[model.architecture]) {
+        throw new Error(`Unknown model architecture: ${model.architecture}`);
+    }
+    if (model.exploration !== 'epsilon' && model.exploration !== 'noisy') {
+        throw new Error(`Unknown exploration strategy: ${model.exploration}`);
+    }
+    if (!Number.isInteger(model.hiddenDim) || model.hiddenDim <= 0) {
+        throw new Error(`Hidden size must be a positive integer, got ${model.hiddenDim}`);
+    }
+
+    const expected = getExpected(model);
+    const label = ARCHITECTURES[model.architecture].label;
+    if (model.stateDim !== expected.stateDim) {
+        throw new Error(`${label} model reads ${model.stateDim} state values, but this game gives it ${expected.stateDim}`);
+    }
+    if (model.actionDim !== expected.actionDim) {
+        throw new Error(`Model has ${model.actionDim} actions, but the game has ${expected.actionDim}`);
+    }
+
+    const shapes = model.weightShapes;
+    if (!Array.isArray(shapes) || shapes.length !== file.weights.length) {
+        throw new Error(`Model file lists ${Array.isArray(shapes) ? shapes.length : 'no'} weight shapes for ${file.weights.length} weights`);
+    }
+    file.weights.forEach((weight, i) => {
+        const shape = getArrayShape(weight);
+        if (!shape) {
+            throw new Error(`Weight ${i} is not a rectangular array of numbers`);
+        }
+        if (!sameShape(shape, shapes[i])) {
+            throw new Error(`Weight ${i} has shape ${formatShape(shape)}, but the file declares ${formatShape(shapes[i])}`);
+        }
+    });
+    if (shapes.length !== expected.weightShapes.length) {
+        throw new Error(`Model file has ${shapes.length} weights, a ${label} (hidden=${model.hiddenDim}${model.exploration === 'noisy' ? ', noisy' : ''}) has ${expected.weightShapes.length}`);
+    }
+    shapes.forEach((shape, i) => {
+        if (!sameShape(shape, expected.weightShapes[i])) {
+            throw new Error(`Weight ${i} has shape ${formatShape(shape)}, a ${label} (hidden=${model.hiddenDim}) needs ${formatShape(expected.weightShapes[i])}`);
+        }
+    });
+
+    const config = file.config || {};
+    if (config.epsilon !== undefined && !(config.epsilon >= 0 && config.epsilon <= 1)) {
+        throw new Error(`Epsilon must be between 0 and 1, got ${config.epsilon}`);
+    }
+    if (config.actionRepeat !== undefined && !(Number.isInteger(config.actionRepeat) && config.actionRepeat >= 1)) {
+        throw new Error(`Action repeat must be a positive integer, got ${config.actionRepeat}`);
+    }
+    if (config.seed !== undefined && config.seed !== null && !Number.isInteger(config.seed)) {
+        throw new Error(`Seed must be an integer, got ${config.seed}`);
+    }
+}
@@ -0,0 +1,219 @@
+// Q-value inspector: heatmaps of the network's Q(stay), Q(jump) and greedy action over two
+// features of the state vector, with the remaining features held at chosen values
+import { STATE_FEATURES } from './environment.js';
+
+// Minimum time between two heatmap requests while training
+const REFRESH_INTERVAL_MS = 1000;
+
+// Colour map for Q-values, low to high (viridis)
+const Q_COLORS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+const ACTION_COLORS = { stay: [33, 150, 243], jump: [255, 152, 0] };
+
+function qColor(t) {
+    const x = Math.min(1, Math.max(0, t)) * (Q_COLORS.length - 1);
+    const i = Math.min(Q_COLORS.length - 2, Math.floor(x));
+    const f = x - i;
+    return Q_COLORS[i].map((c, k) => Math.round(c + (Q_COLORS[i + 1][k] - c) * f));
+}
+
+export class QInspector {
+    // trainer: TrainingClient; onOverlayChange(enabled) is called when the Q overlay is toggled
+    constructor(container, trainer, options = {}) {
+        this.container = container;
+        this.trainer = trainer;
+        this.onOverlayChange = options.onOverlayChange || (() => {});
+        this.resolution = options.resolution || 32;
+        // Swept features (indices into STATE_FEATURES) and the values the others are held at
+        this.xIndex = 1;
+        this.yIndex = 2;
+        this.values = STATE_FEATURES.map(feature => feature.value);
+
+        // A request in flight, and the refresh asked for meanwhile (null, 'throttled' or 'immediate')
+        this.pending = false;
+        this.queued = null;
+        this.lastRequestTs = 0;
+        this.refreshTimer = null;
+
+        this.build();
+        this.syncSliders();
+    }
+
+    build() {
+        const options = STATE_FEATURES.map((feature, i) => `<option value="${i}">${feature.label}</option>`).join('');
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Q-Value Inspector</h3>
+          <div class="chart-toolbar">
+            <label>X <select id="q-x-select" aria-label="Horizontal feature">${options}</select></label>
+            <label>Y <select id="q-y-select" aria-label="Vertical feature">${options}</select></label>
+            <label><input type="checkbox" id="q-overlay"> Q overlay on game</label>
+          </div>
+          <div class="q-inspector">
+            <div class="parameters q-held">
+              ${STATE_FEATURES.map((feature, i) => `
+              <div class="param-row" id="q-held-row-${i}">
+                <label for="q-held-${i}">${feature.label}</label>
+                <input type="range" id="q-held-${i}" min="${feature.min}" max="${feature.max}" step="0.01" value="${feature.value}">
+                <span class="value" id="q-held-value-${i}"></span>
+              </div>`).join('')}
+            </div>
+            <div class="q-maps">
+              <figure><canvas id="q-map-stay" class="q-map"></canvas><figcaption>Q(stay)</figcaption></figure>
+              <figure><canvas id="q-map-jump" class="q-map"></canvas><figcaption>Q(jump)</figcaption></figure>
+              <figure><canvas id="q-map-action" class="q-map"></canvas><figcaption>Greedy action</figcaption></figure>
+            </div>
+          </div>
+          <div class="chart-hint" id="q-hint"></div>
+        `;
+
+        this.dom = {
+            xSelect: document.getElementById('q-x-select'),
+            ySelect: document.getElementById('q-y-select'),
+            overlay: document.getElementById('q-overlay'),
+            hint: document.getElementById('q-hint'),
+            maps: {
+                stay: document.getElementById('q-map-stay'),
+                jump: document.getElementById('q-map-jump'),
+                action: document.getElementById('q-map-action')
+            }
+        };
+        this.dom.xSelect.value = this.xIndex;
+        this.dom.ySelect.value = this.yIndex;
+        for (const canvas of Object.values(this.dom.maps)) {
+            canvas.width = this.resolution;
+            canvas.height = this.resolution;
+        }
+
+        this.dom.xSelect.addEventListener('change', (e) => this.setAxes(parseInt(e.target.value, 10), this.yIndex));
+        this.dom.ySelect.addEventListener('change', (e) => this.setAxes(this.xIndex, parseInt(e.target.value, 10)));
+        this.dom.overlay.addEventListener('change', (e) => this.onOverlayChange(e.target.checked));
+        STATE_FEATURES.forEach((feature, i) => {
+            document.getElementById(`q-held-${i}`).addEventListener('input', (e) => {
+                this.values[i] = parseFloat(e.target.value);
+                this.syncSliders();
+                this.refresh(true);
+            });
+        });
+    }
+
+    // Picking the other axis' feature swaps the two
+    setAxes(xIndex, yIndex) {
+        if (xIndex === yIndex) {
+            [xIndex, yIndex] = [this.yIndex, this.xIndex];
+        }
+        this.xIndex = xIndex;
+        this.yIndex = yIndex;
+        this.dom.xSelect.value = xIndex;
+        this.dom.ySelect.value = yIndex;
+        this.syncSliders();
+        this.refresh(true);
+    }
+
+    // Swept features have no held value
+    syncSliders() {
+        STATE_FEATURES.forEach((feature, i) => {
+            const swept = i === this.xIndex || i === this.yIndex;
+            document.getElementById(`q-held-${i}`).disabled = swept;
+            document.getElementById(`q-held-row-${i}`).classList.toggle('disabled', swept);
+            document.getElementById(`q-held-value-${i}`).textContent = swept
+                ? (i === this.xIndex ? 'X' : 'Y')
+                : this.values[i].toFixed(2);
+        });
+        const x = STATE_FEATURES[this.xIndex];
+        const y = STATE_FEATURES[this.yIndex];
+        this.axisHint = `X: ${x.label} ${x.min} → ${x.max}; Y: ${y.label} ${y.min} (top) → ${y.max} (bottom).`;
+    }
+
+    // Request new heatmaps; unless immediate, at most one per REFRESH_INTERVAL_MS
+    refresh(immediate = false) {
+        if (this.pending) {
+            this.queued = immediate || this.queued === 'immediate' ? 'immediate' : 'throttled';
+            return;
+        }
+        const wait = immediate ? 0 : this.lastRequestTs + REFRESH_INTERVAL_MS - performance.now();
+        if (wait > 0) {
+            if (!this.refreshTimer) {
+                this.refreshTimer = setTimeout(() => {
+                    this.refreshTimer = null;
+                    this.refresh(true);
+                }, wait);
+            }
+            return;
+        }
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        this.fetch();
+    }
+
+    async fetch() {
+        const x = STATE_FEATURES[this.xIndex];
+        const y = STATE_FEATURES[this.yIndex];
+        this.pending = true;
+        this.lastRequestTs = performance.now();
+        try {
+            const grid = await this.trainer.request('qGrid', {
+                xIndex: this.xIndex,
+                yIndex: this.yIndex,
+                values: this.values,
+                xRange: [x.min, x.max],
+                yRange: [y.min, y.max],
+                resolution: this.resolution
+            });
+            this.draw(grid);
+        } catch (error) {
+            this.clearMaps();
+            this.dom.hint.textContent = error.message;
+        } finally {
+            this.pending = false;
+        }
+        if (this.queued) {
+            const immediate = this.queued === 'immediate';
+            this.queued = null;
+            this.refresh(immediate);
+        }
+    }
+
+    draw({ resolution, stay, jump }) {
+        // Both Q maps share one scale so they can be compared cell by cell
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < stay.length; i++) {
+            min = Math.min(min, stay[i], jump[i]);
+            max = Math.max(max, stay[i], jump[i]);
+        }
+        const span = max - min || 1;
+
+        this.fillMap(this.dom.maps.stay, resolution, (i) => qColor((stay[i] - min) / span));
+        this.fillMap(this.dom.maps.jump, resolution, (i) => qColor((jump[i] - min) / span));
+        this.fillMap(this.dom.maps.action, resolution, (i) => (jump[i] > stay[i] ? ACTION_COLORS.jump : ACTION_COLORS.stay));
+
+        const jumpShare = jump.filter((q, i) => q > stay[i]).length / jump.length;
+        this.dom.hint.textContent = `${this.axisHint} Q from ${min.toFixed(2)} (purple) to ${max.toFixed(2)} (yellow); ` +
+            `greedy action is jump (orange) in ${Math.round(jumpShare * 100)}% of cells, stay (blue) elsewhere.`;
+    }
+
+    fillMap(canvas, resolution, colorAt) {
+        if (canvas.width !== resolution) {
+            canvas.width = resolution;
+            canvas.height = resolution;
+        }
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(resolution, resolution);
+        for (let i = 0; i < resolution * resolution; i++) {
+            const [r, g, b] = colorAt(i);
+            image.data[i * 4] = r;
+            image.data[i * 4 + 1] = g;
+            image.data[i * 4 + 2] = b;
+            image.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+
+    clearMaps() {
+        for (const canvas of Object.values(this.dom.maps)) {
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+}
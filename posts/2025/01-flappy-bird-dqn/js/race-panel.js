@@ -0,0 +1,229 @@
+// Human vs AI race card: two games on the same tubes side by side, the left one flown by the player
+// (through the page's manual input) and the right one by the greedy policy of the current network
+// (see race.js). Whoever survives longer wins; the tally lasts for the browser session.
+import { Game } from './game.js';
+import { ARCHITECTURES } from './dqn.js';
+import { randomSeed } from './random.js';
+
+const TALLY_KEY = 'flappy-dqn-race-tally';
+
+const RESULTS = {
+    human: { text: 'You win!', hint: 'You outlasted the AI.' },
+    ai: { text: 'AI wins', hint: 'The AI outlasted you.' },
+    tie: { text: 'Tie', hint: 'You crashed on the same frame.' }
+};
+
+function loadTally() {
+    try {
+        return { human: 0, ai: 0, tie: 0, ...JSON.parse(sessionStorage.getItem(TALLY_KEY)) };
+    } catch (error) {
+        return { human: 0, ai: 0, tie: 0 };
+    }
+}
+
+export class RacePanel {
+    // trainer: TrainingClient; options: { updateIntervalMs (ms per game frame, as in manual play),
+    // canStart() (false while training owns the page) }
+    constructor(container, trainer, options = {}) {
+        this.container = container;
+        this.trainer = trainer;
+        this.updateIntervalMs = options.updateIntervalMs || 50;
+        this.canStart = options.canStart || (() => true);
+        this.tally = loadTally();
+        // 'idle', 'starting' (waiting for the worker), 'ready' (waiting for the first flap),
+        // 'racing' or 'finished'
+        this.state = 'idle';
+        this.winner = null;
+        // Identifies the current race so replies for an abandoned one are ignored
+        this.raceId = 0;
+        // Whether a frame is in flight: the player's game only advances with the AI's
+        this.stepping = false;
+        this.accumulatedMs = 0;
+        this.lastTs = 0;
+        this.animationFrame = null;
+
+        this.build();
+    }
+
+    build() {
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Human vs AI</h3>
+          <div class="chart-toolbar">
+            <button class="control-btn primary" id="race-start-btn">Start Race</button>
+            <button class="control-btn secondary" id="race-quit-btn" disabled>Quit</button>
+            <span class="race-tally" id="race-tally"></span>
+          </div>
+          <div class="race-view">
+            <figure><canvas id="race-human-canvas" class="race-canvas"></canvas><figcaption>You</figcaption></figure>
+            <figure><canvas id="race-ai-canvas" class="race-canvas"></canvas><figcaption id="race-ai-caption">AI</figcaption></figure>
+          </div>
+          <div class="chart-hint" id="race-hint">Both birds get the same tubes. Start a race, then flap with Space/↑ or by tapping your game; R restarts.</div>
+        `;
+
+        this.dom = {
+            start: document.getElementById('race-start-btn'),
+            quit: document.getElementById('race-quit-btn'),
+            tally: document.getElementById('race-tally'),
+            aiCaption: document.getElementById('race-ai-caption'),
+            hint: document.getElementById('race-hint')
+        };
+        this.humanCanvas = document.getElementById('race-human-canvas');
+        this.humanGame = new Game(this.humanCanvas);
+        this.aiGame = new Game(document.getElementById('race-ai-canvas'));
+        this.humanGame.spriteSheetImage.addEventListener('load', () => this.render());
+
+        this.dom.start.addEventListener('click', (e) => {
+            // Keep Space for flapping instead of pressing the button again
+            e.currentTarget.blur();
+            this.start();
+        });
+        this.dom.quit.addEventListener('click', () => this.stop());
+        this.updateTally();
+    }
+
+    // Whether the page's manual input should go to the race
+    get active() {
+        return this.state !== 'idle';
+    }
+
+    async start() {
+        if (!this.canStart()) {
+            this.setMessage('Stop or reset training to race against the network.');
+            return;
+        }
+        const raceId = ++this.raceId;
+        this.state = 'starting';
+        this.winner = null;
+        this.stepping = false;
+        this.dom.quit.disabled = false;
+        const seed = randomSeed();
+        try {
+            const race = await this.trainer.request('startRace', { seed });
+            if (raceId !== this.raceId) return;
+            this.humanGame.setSeed(seed);
+            this.humanGame.initializeGame();
+            this.aiGame.applySnapshot(race.snapshot);
+            const model = `${ARCHITECTURES[race.architecture].label}${race.exploration === 'noisy' ? ' + noisy' : ''}, hidden=${race.hiddenDim}`;
+            this.dom.aiCaption.textContent = `AI (${model}, ${race.trainingEpisode} episodes)`;
+            this.setMessage('Flap to start: the AI takes off with you.');
+            this.state = 'ready';
+            this.startLoop();
+        } catch (error) {
+            if (raceId !== this.raceId) return;
+            console.error('Failed to start race:', error);
+            this.stop();
+            this.setMessage(`Failed to start race: ${error.message}`);
+        }
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.raceId++;
+        this.state = 'idle';
+        this.dom.quit.disabled = true;
+        this.trainer.send('stopRace');
+        if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        this.humanGame.initializeGame();
+        this.aiGame.initializeGame();
+        this.dom.aiCaption.textContent = 'AI';
+        this.render();
+    }
+
+    // Space/↑, click or tap: the first flap starts both games, a flap after the finish sets up a rematch
+    flap() {
+        if (this.state === 'ready') {
+            this.humanGame.jump();
+            this.state = 'racing';
+            this.accumulatedMs = 0;
+            this.setMessage('Racing…');
+        } else if (this.state === 'racing') {
+            this.humanGame.jump();
+        } else if (this.state === 'finished') {
+            this.start();
+        }
+    }
+
+    startLoop() {
+        if (this.animationFrame) return;
+        this.lastTs = performance.now();
+        const loop = () => {
+            const now = performance.now();
+            if (this.state === 'racing') {
+                this.accumulatedMs += now - this.lastTs;
+                if (!this.stepping && this.accumulatedMs >= this.updateIntervalMs) {
+                    // A frame late is run now, but a slow frame never turns into a burst of catch-up frames
+                    this.accumulatedMs = Math.min(this.accumulatedMs - this.updateIntervalMs, this.updateIntervalMs);
+                    this.step();
+                }
+            }
+            this.lastTs = now;
+            this.render();
+            this.animationFrame = requestAnimationFrame(loop);
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    // One frame of both games: the AI's in the worker, then the player's
+    async step() {
+        const raceId = this.raceId;
+        this.stepping = true;
+        try {
+            const { snapshot, done } = await this.trainer.request('raceStep');
+            if (raceId !== this.raceId) return;
+            this.aiGame.applySnapshot(snapshot);
+            this.humanGame.update();
+            const humanDone = this.humanGame.gameState === this.humanGame.GAME_OVER;
+            if (humanDone || done) this.finish(humanDone && done ? 'tie' : (done ? 'human' : 'ai'));
+        } catch (error) {
+            if (raceId !== this.raceId) return;
+            console.error('Race step failed:', error);
+            this.stop();
+            this.setMessage(`Race failed: ${error.message}`);
+        } finally {
+            if (raceId === this.raceId) this.stepping = false;
+        }
+    }
+
+    finish(winner) {
+        this.state = 'finished';
+        this.winner = winner;
+        this.tally[winner]++;
+        try {
+            sessionStorage.setItem(TALLY_KEY, JSON.stringify(this.tally));
+        } catch (error) {
+            // Storage can be unavailable; the tally then only lasts until the page is closed
+        }
+        this.updateTally();
+        this.setMessage(`${RESULTS[winner].hint} Flap or press R for a rematch.`);
+    }
+
+    updateTally() {
+        const { human, ai, tie } = this.tally;
+        this.dom.tally.textContent = `You ${human} · AI ${ai}${tie ? ` · Ties ${tie}` : ''}`;
+    }
+
+    render() {
+        this.humanGame.render();
+        this.aiGame.render();
+        if (this.state !== 'finished') return;
+        // Banner over the survivor's game, or both on a tie
+        if (this.winner !== 'ai') this.drawBanner(this.humanGame, RESULTS[this.winner].text);
+        if (this.winner !== 'human') this.drawBanner(this.aiGame, RESULTS[this.winner].text);
+    }
+
+    drawBanner(game, text) {
+        const { ctx, canvas } = game;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.fillRect(0, canvas.height / 2 - 70, canvas.width, 44);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 26px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, canvas.width / 2, canvas.height / 2 - 39);
+    }
+
+    setMessage(text) {
+        this.dom.hint.textContent = text;
+    }
+}
@@ -0,0 +1,53 @@
+// AI side of the human vs AI race: the greedy policy of a frozen copy of the network playing one game
+// frame by frame, in step with the player's game on the page (see race-panel.js). Runs in the
+// training worker.
+import { GameCore } from './game-core.js';
+import { Environment } from './environment.js';
+
+export class RaceOpponent {
+    // model: frozen network, owned (and disposed) by the opponent
+    constructor(model, { observation, actionRepeat }) {
+        this.model = model;
+        this.env = new Environment(new GameCore(), { observation, actionRepeat });
+        this.game = this.env.game;
+        // Current decision and the frames it still holds for
+        this.action = this.env.actionSpace.STAY;
+        this.framesLeft = 0;
+    }
+
+    // Same tubes as a page Game seeded with seed and put back on its start screen
+    start(seed) {
+        this.env.setSeed(seed);
+        this.game.initializeGame();
+        this.env.setObservation(this.env.observation);
+        this.action = this.env.actionSpace.STAY;
+        this.framesLeft = 0;
+        return this.game.getSnapshot();
+    }
+
+    // One game frame. Decisions are taken every actionRepeat frames and captured into the frame stack
+    // as Environment.step would, so the policy sees what it was trained on.
+    step() {
+        const game = this.game;
+        if (game.gameState === game.HOME) {
+            // The flap that started the player's game
+            game.jump();
+        }
+        if (game.gameState === game.PLAYING) {
+            if (this.framesLeft === 0) {
+                const state = this.env.getState();
+                this.action = tf.tidy(() => this.model.predictMean([state]).argMax(1).dataSync()[0]);
+                this.framesLeft = this.env.actionRepeat;
+            }
+            if (this.action === this.env.actionSpace.JUMP) game.jump();
+            game.update();
+            this.framesLeft--;
+            if (this.framesLeft === 0 && this.env.observation === 'pixels') this.env.captureFrame();
+        }
+        return { snapshot: game.getSnapshot(), done: game.gameState === game.GAME_OVER };
+    }
+
+    dispose() {
+        this.model.dispose();
+    }
+}
@@ -0,0 +1,51 @@
+// Seedable pseudo-random number generator (mulberry32), used instead of Math.random
+// so that training runs can be reproduced from a single seed
+export class Random {
+    constructor(seed = randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1), same contract as Math.random()
+    random() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Position in the sequence, e.g. for a checkpoint to continue it from
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed;
+        this.state = state;
+    }
+
+    // Fresh 32-bit seed, e.g. for TensorFlow.js initializers and random ops
+    nextSeed() {
+        return Math.floor(this.random() * 4294967296);
+    }
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Independent streams derived from one run seed, so each component gets its own sequence
+export const SEED_STREAMS = {
+    environment: 1,
+    agent: 2,
+    model: 3,
+    demonstrations: 4
+};
+
+export function deriveSeed(seed, stream) {
+    return new Random((seed ^ Math.imul(stream, 0x9E3779B9)) >>> 0).nextSeed();
+}
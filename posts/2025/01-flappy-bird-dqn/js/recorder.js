@@ -0,0 +1,151 @@
+// Episode recordings: everything needed to play an episode again frame for frame. The game is
+// deterministic given its state and tube generator when the episode starts, so a recording is that
+// plus whether the bird flapped in each frame, whoever was flying it (player, training or evaluation).
+export const RECORDING_FORMAT = 'flappy-dqn-episode';
+export const RECORDING_VERSION = 1;
+
+// Replays keep the game state every this many frames, so scrubbing never simulates more than this
+const KEYFRAME_INTERVAL = 250;
+
+// Records every episode played on game, from its first frame to the crash (or whatever ends it
+// first, e.g. a reset). options: { source, onEpisode(recording) }
+export class EpisodeRecorder {
+    constructor(game, options = {}) {
+        this.game = game;
+        this.source = options.source || 'manual';
+        this.onEpisode = options.onEpisode || (() => {});
+        // Episode in progress: { start, rng, actions }
+        this.current = null;
+        // After discard(), nothing is recorded until the next episode starts
+        this.suspended = false;
+        game.recorder = this;
+    }
+
+    // Called by the game before each frame it plays
+    recordFrame() {
+        if (this.suspended) return;
+        const game = this.game;
+        if (!this.current) {
+            this.current = { start: game.getSnapshot(), rng: game.rng.getState(), actions: [] };
+        }
+        this.current.actions.push(game.jumped ? 1 : 0);
+    }
+
+    // Called by the game when it crashes or starts over (the recording's crashed field tells which)
+    end() {
+        const episode = this.current;
+        this.current = null;
+        this.suspended = false;
+        if (!episode) return;
+        const game = this.game;
+        this.onEpisode({
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            source: this.source,
+            recordedAt: Date.now(),
+            rng: episode.rng,
+            start: episode.start,
+            actions: episode.actions.join(''),
+            frames: episode.actions.length,
+            score: game.score,
+            crashed: game.gameState === game.GAME_OVER
+        });
+    }
+
+    // Drop the episode in progress, e.g. when the game jumps to a state of another game
+    discard() {
+        this.current = null;
+        this.suspended = true;
+    }
+
+    detach() {
+        if (this.game.recorder === this) this.game.recorder = null;
+    }
+}
+
+// Which of two recordings is the better run: higher score, then longer survival
+export function compareRecordings(a, b) {
+    return (a.score - b.score) || (a.frames - b.frames);
+}
+
+// Throws an Error describing the first problem with an imported recording
+export function validateRecording(recording) {
+    const isInteger = (value) => Number.isInteger(value) && value >= 0;
+    if (!recording || typeof recording !== 'object') throw new Error('Recording is not a JSON object');
+    if (recording.format !== RECORDING_FORMAT) throw new Error('Not an episode recording');
+    if (recording.version !== RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${recording.version} (expected ${RECORDING_VERSION})`);
+    }
+    if (typeof recording.actions !== 'string' || !/^[01]*$/.test(recording.actions)) {
+        throw new Error('Recording actions must be a string of 0s and 1s');
+    }
+    if (recording.frames !== recording.actions.length) {
+        throw new Error(`Recording has ${recording.actions.length} actions for ${recording.frames} frames`);
+    }
+    if (!recording.rng || !isInteger(recording.rng.seed) || !isInteger(recording.rng.state)) {
+        throw new Error('Recording has no valid tube generator state');
+    }
+    const start = recording.start;
+    if (!start || !Array.isArray(start.tubes) || start.tubes.length === 0 ||
+        !['birdY', 'birdYSpeed', 'birdFrame', 'gameState', 'score', 'groundX'].every(key => Number.isFinite(start[key])) ||
+        !start.tubes.every(tube => Number.isFinite(tube.x) && Number.isFinite(tube.y))) {
+        throw new Error('Recording has no valid start state');
+    }
+    if (!isInteger(recording.score)) throw new Error('Recording has no valid score');
+}
+
+// Plays a recording on game (a GameCore, or a Game to watch it), frame by frame or from any frame
+export class EpisodeReplay {
+    constructor(recording, game) {
+        this.recording = recording;
+        this.game = game;
+        this.frame = 0;
+        this.keyframes = [];
+
+        // Play it through once for the keyframes, and to check it ends as recorded
+        this.restart();
+        while (this.step()) { /* keyframes are taken while stepping */ }
+        this.verified = game.score === recording.score &&
+            (game.gameState === game.GAME_OVER) === Boolean(recording.crashed);
+        this.restart();
+    }
+
+    get length() {
+        return this.recording.frames;
+    }
+
+    restart() {
+        this.game.applySnapshot(this.recording.start);
+        this.game.rng.setState(this.recording.rng);
+        this.frame = 0;
+    }
+
+    // Play the next frame; false once the recording is over
+    step() {
+        if (this.frame >= this.length) return false;
+        if (this.frame % KEYFRAME_INTERVAL === 0 && !this.keyframes[this.frame / KEYFRAME_INTERVAL]) {
+            this.keyframes[this.frame / KEYFRAME_INTERVAL] = { snapshot: this.game.getSnapshot(), rng: this.game.rng.getState() };
+        }
+        if (this.recording.actions[this.frame] === '1') this.game.jump();
+        this.game.update();
+        this.frame++;
+        return true;
+    }
+
+    // Show the game as it was after `frame` frames
+    seek(frame) {
+        const target = Math.max(0, Math.min(this.length, Math.floor(frame)));
+        if (target < this.frame || target - this.frame > KEYFRAME_INTERVAL) {
+            const index = Math.min(Math.floor(target / KEYFRAME_INTERVAL), this.keyframes.length - 1);
+            if (index >= 0) {
+                const keyframe = this.keyframes[index];
+                this.game.applySnapshot(keyframe.snapshot);
+                this.game.rng.setState(keyframe.rng);
+                this.frame = index * KEYFRAME_INTERVAL;
+            } else {
+                this.restart();
+            }
+        }
+        while (this.frame < target) this.step();
+    }
+}
@@ -0,0 +1,208 @@
+// Episode replay card: plays the recordings kept by the page and the worker (see recorder.js) on a
+// Game of its own, with play/pause, single frames and a scrub bar, and exports or imports them as
+// small JSON files
+import { Game } from './game.js';
+import { EpisodeReplay, validateRecording } from './recorder.js';
+
+// Recordings the card keeps, one of each
+const SLOTS = {
+    manual: 'Your last game',
+    trainingBest: 'Best training episode',
+    trainingWorst: 'Worst training episode',
+    evaluationBest: 'Best evaluation episode',
+    evaluationWorst: 'Worst evaluation episode',
+    imported: 'Imported'
+};
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export class ReplayPanel {
+    // options: { updateIntervalMs (ms per frame at 1x, as in manual play), download(blob, fileName) }
+    constructor(container, options = {}) {
+        this.container = container;
+        this.updateIntervalMs = options.updateIntervalMs || 50;
+        this.download = options.download || (() => {});
+        // slot -> recording
+        this.recordings = {};
+        this.slot = null;
+        this.replay = null;
+        this.speed = 1;
+        this.playing = false;
+        this.accumulatedMs = 0;
+        this.lastTs = 0;
+        this.animationFrame = null;
+
+        this.build();
+    }
+
+    build() {
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Episode Replays</h3>
+          <div class="chart-toolbar">
+            <select id="replay-select" disabled><option>No recordings yet</option></select>
+            <button class="control-btn secondary" id="replay-export-btn" disabled>Export</button>
+            <button class="control-btn secondary" id="replay-import-btn">Import</button>
+            <input type="file" id="replay-file-input" accept=".json" hidden>
+          </div>
+          <div class="replay-view">
+            <canvas id="replay-canvas" class="replay-canvas"></canvas>
+            <div class="replay-controls">
+              <button class="control-btn primary" id="replay-play-btn" disabled>Play</button>
+              <button class="control-btn secondary" id="replay-step-btn" title="Next frame" disabled>Step</button>
+              <label>Speed <select id="replay-speed-select">${SPEEDS.map(s => `<option value="${s}" ${s === this.speed ? 'selected' : ''}>${s}×</option>`).join('')}</select></label>
+              <input type="range" id="replay-scrub" min="0" max="0" value="0" disabled>
+              <span class="replay-position" id="replay-position"></span>
+            </div>
+          </div>
+          <div class="chart-hint" id="replay-hint">Your games, the best and worst training episodes of the run and of the last evaluation are kept here to replay frame by frame.</div>
+        `;
+
+        this.dom = {
+            select: document.getElementById('replay-select'),
+            exportBtn: document.getElementById('replay-export-btn'),
+            fileInput: document.getElementById('replay-file-input'),
+            play: document.getElementById('replay-play-btn'),
+            step: document.getElementById('replay-step-btn'),
+            scrub: document.getElementById('replay-scrub'),
+            position: document.getElementById('replay-position'),
+            hint: document.getElementById('replay-hint')
+        };
+        this.game = new Game(document.getElementById('replay-canvas'));
+        this.game.spriteSheetImage.addEventListener('load', () => this.render());
+
+        this.dom.select.addEventListener('change', (e) => this.load(e.target.value));
+        this.dom.exportBtn.addEventListener('click', () => this.exportRecording());
+        document.getElementById('replay-import-btn').addEventListener('click', () => this.dom.fileInput.click());
+        this.dom.fileInput.addEventListener('change', (e) => this.importRecording(e));
+        this.dom.play.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        this.dom.step.addEventListener('click', () => {
+            this.pause();
+            this.replay.step();
+            this.render();
+        });
+        document.getElementById('replay-speed-select').addEventListener('change', (e) => {
+            this.speed = parseFloat(e.target.value);
+        });
+        this.dom.scrub.addEventListener('input', (e) => {
+            this.pause();
+            this.replay.seek(parseInt(e.target.value, 10));
+            this.render();
+        });
+    }
+
+    // Keep recording in slot; the first one is loaded right away, later ones wait to be picked
+    add(slot, recording) {
+        if (!recording) return;
+        this.recordings[slot] = recording;
+        this.updateSelect();
+        if (!this.replay) this.load(slot);
+    }
+
+    // Drop slots, e.g. the training episodes of a run that was reset
+    remove(slots) {
+        for (const slot of slots) {
+            delete this.recordings[slot];
+        }
+        this.updateSelect();
+        if (slots.includes(this.slot)) {
+            // Show whatever is left instead
+            this.unload();
+            const next = Object.keys(SLOTS).find(slot => this.recordings[slot]);
+            if (next) this.load(next);
+        }
+    }
+
+    updateSelect() {
+        const slots = Object.keys(SLOTS).filter(slot => this.recordings[slot]);
+        this.dom.select.disabled = slots.length === 0;
+        this.dom.select.innerHTML = slots.length === 0 ? '<option>No recordings yet</option>' : slots.map(slot => {
+            const { score, frames } = this.recordings[slot];
+            return `<option value="${slot}" ${slot === this.slot ? 'selected' : ''}>${SLOTS[slot]} (score ${score}, ${frames} frames)</option>`;
+        }).join('');
+    }
+
+    load(slot) {
+        const recording = this.recordings[slot];
+        if (!recording) return;
+        this.pause();
+        this.slot = slot;
+        this.replay = new EpisodeReplay(recording, this.game);
+        this.dom.select.value = slot;
+        this.dom.scrub.max = String(this.replay.length);
+        for (const el of [this.dom.exportBtn, this.dom.play, this.dom.step, this.dom.scrub]) el.disabled = false;
+
+        const ending = recording.crashed ? 'crashed' : 'was cut off';
+        this.dom.hint.textContent = `${SLOTS[slot]}, recorded ${new Date(recording.recordedAt).toLocaleString()}: ` +
+            `score ${recording.score} in ${recording.frames} frames, then ${ending}.` +
+            (this.replay.verified ? '' : ' This replay does not end as recorded, so it was probably made with different game rules.');
+        this.render();
+    }
+
+    unload() {
+        this.pause();
+        this.slot = null;
+        this.replay = null;
+        for (const el of [this.dom.exportBtn, this.dom.play, this.dom.step, this.dom.scrub]) el.disabled = true;
+        this.game.initializeGame();
+        this.dom.position.textContent = '';
+        this.render();
+    }
+
+    play() {
+        if (!this.replay) return;
+        if (this.replay.frame >= this.replay.length) this.replay.seek(0);
+        this.playing = true;
+        this.dom.play.textContent = 'Pause';
+        this.accumulatedMs = 0;
+        this.lastTs = performance.now();
+        const loop = () => {
+            const now = performance.now();
+            this.accumulatedMs += (now - this.lastTs) * this.speed;
+            this.lastTs = now;
+            while (this.playing && this.accumulatedMs >= this.updateIntervalMs) {
+                this.accumulatedMs -= this.updateIntervalMs;
+                if (!this.replay.step()) this.pause();
+            }
+            this.render();
+            if (this.playing) this.animationFrame = requestAnimationFrame(loop);
+        };
+        this.animationFrame = requestAnimationFrame(loop);
+    }
+
+    pause() {
+        this.playing = false;
+        this.dom.play.textContent = 'Play';
+        if (this.animationFrame) cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+    }
+
+    render() {
+        this.game.render();
+        if (!this.replay) return;
+        this.dom.scrub.value = String(this.replay.frame);
+        this.dom.position.textContent = `Frame ${this.replay.frame}/${this.replay.length}`;
+    }
+
+    exportRecording() {
+        const recording = this.recordings[this.slot];
+        if (!recording) return;
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        this.download(blob, `flappy-bird-episode-${recording.source}-score-${recording.score}.json`);
+    }
+
+    async importRecording(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const recording = JSON.parse(await file.text());
+            validateRecording(recording);
+            this.recordings.imported = recording;
+            this.updateSelect();
+            this.load('imported');
+        } catch (error) {
+            console.error('Failed to import recording:', error);
+            this.dom.hint.textContent = `Failed to import ${file.name}: ${error.message}`;
+        }
+    }
+}
@@ -0,0 +1,78 @@
+// Reward terms and presets for Environment. A reward function is a weighted sum of terms,
+// each computed from what happened during one game frame.
+
+// ctx: { passed, done, wrongAction, gapDistance } (see Environment.calculateReward)
+export const REWARD_TERMS = {
+    // Frames that earn nothing else: passing a tube or dying replaces the alive bonus
+    alive: {
+        label: 'Alive',
+        value: (ctx) => (ctx.done || ctx.passed ? 0 : 1)
+    },
+    // Tubes passed this frame (a crash on the same frame counts as death only)
+    pass: {
+        label: 'Pass tube',
+        value: (ctx) => (ctx.passed && !ctx.done ? 1 : 0)
+    },
+    death: {
+        label: 'Death',
+        value: (ctx) => (ctx.done ? 1 : 0)
+    },
+    // Dying while jumping above the gap, or while staying below it
+    wrongAction: {
+        label: 'Wrong action',
+        value: (ctx) => (ctx.done && ctx.wrongAction ? 1 : 0)
+    },
+    // Vertical distance (px) between the bird and the centre of the next gap, while alive
+    gapDistance: {
+        label: 'Gap distance',
+        value: (ctx) => (ctx.done ? 0 : ctx.gapDistance)
+    }
+};
+
+export const REWARD_PRESETS = {
+    'shaped': {
+        label: 'Shaped',
+        weights: { alive: 0.1, pass: 5.0, death: -10.0, wrongAction: -5.0, gapDistance: -0.01 }
+    },
+    'sparse': {
+        label: 'Sparse',
+        weights: { alive: 0, pass: 1.0, death: -1.0, wrongAction: 0, gapDistance: 0 }
+    },
+    'survival': {
+        label: 'Survival',
+        weights: { alive: 0.1, pass: 0.1, death: -1.0, wrongAction: 0, gapDistance: 0 }
+    },
+    'centering': {
+        label: 'Centering',
+        weights: { alive: 0.1, pass: 5.0, death: -10.0, wrongAction: 0, gapDistance: -0.05 }
+    }
+};
+
+// The reward the environment has always used
+export const DEFAULT_REWARD_PRESET = 'shaped';
+
+// { preset, weights } with every term filled in; unknown presets fall back to the default,
+// and explicit weights (e.g. edited in the UI) override the preset's. A missing or null config
+// (e.g. "reward": null in a file) gives the default reward.
+export function resolveRewardConfig(config) {
+    config = config || {};
+    const preset = REWARD_PRESETS[config.preset] ? config.preset : DEFAULT_REWARD_PRESET;
+    const weights = {};
+    for (const name of Object.keys(REWARD_TERMS)) {
+        const weight = config.weights ? config.weights[name] : undefined;
+        weights[name] = Number.isFinite(weight) ? weight : REWARD_PRESETS[preset].weights[name];
+    }
+    return { preset, weights };
+}
+
+export function createRewardFunction(config) {
+    const { weights } = resolveRewardConfig(config);
+    const terms = Object.keys(REWARD_TERMS).filter(name => weights[name] !== 0);
+    return (ctx) => {
+        let reward = 0;
+        for (const name of terms) {
+            reward += weights[name] * REWARD_TERMS[name].value(ctx);
+        }
+        return reward;
+    };
+}
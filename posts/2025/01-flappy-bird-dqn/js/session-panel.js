@@ -0,0 +1,148 @@
+// Saved sessions card: the autosave switch, an offer to resume the last session after a page load,
+// and the list of sessions in the SessionStore to restore or delete
+import { ARCHITECTURES } from './dqn.js';
+import { MAX_SESSIONS } from './session-store.js';
+
+// Remembers the autosave switch across page loads; it is on until the player turns it off, so a
+// refreshed tab doesn't lose the run
+const AUTOSAVE_KEY = 'flappy-dqn-autosave';
+
+function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+    return new Date(timestamp).toLocaleString();
+}
+
+// e.g. "Episode 1200 · Double DQN + noisy, hidden=64, 4 games"
+function describeSession(session) {
+    const model = `${ARCHITECTURES[session.architecture] ? ARCHITECTURES[session.architecture].label : session.architecture}` +
+        `${session.exploration === 'noisy' ? ' + noisy' : ''}, hidden=${session.hiddenDim}` +
+        `${session.numEnvs > 1 ? `, ${session.numEnvs} games` : ''}`;
+    return `Episode ${session.episode} · ${model}`;
+}
+
+export class SessionPanel {
+    // store: SessionStore; onRestore(session) and onAutosaveChange(enabled) are called on user actions
+    constructor(container, store, options = {}) {
+        this.container = container;
+        this.store = store;
+        this.onRestore = options.onRestore || (() => {});
+        this.onAutosaveChange = options.onAutosaveChange || (() => {});
+        this.autosave = localStorage.getItem(AUTOSAVE_KEY) !== 'off';
+        this.sessions = [];
+        // Session the resume offer is for
+        this.resumeSession = null;
+
+        this.build();
+    }
+
+    build() {
+        this.container.classList.add('card');
+        this.container.innerHTML = `
+          <h3>Saved Sessions</h3>
+          <div class="chart-toolbar">
+            <label><input type="checkbox" id="autosave-toggle"> Autosave training to this browser</label>
+            <span class="chart-hint">Saves a checkpoint with the full replay memory, often several MB, every minute of training; the last ${MAX_SESSIONS} sessions are kept.</span>
+          </div>
+          <div class="session-resume" id="session-resume" hidden>
+            <span id="session-resume-text"></span>
+            <button class="control-btn primary" id="session-resume-btn">Resume</button>
+            <button class="control-btn secondary" id="session-dismiss-btn">Dismiss</button>
+          </div>
+          <ul class="session-list" id="session-list"></ul>
+          <div class="chart-hint" id="session-hint"></div>
+        `;
+
+        this.dom = {
+            autosave: document.getElementById('autosave-toggle'),
+            resume: document.getElementById('session-resume'),
+            resumeText: document.getElementById('session-resume-text'),
+            list: document.getElementById('session-list'),
+            hint: document.getElementById('session-hint')
+        };
+        this.dom.autosave.checked = this.autosave;
+
+        this.dom.autosave.addEventListener('change', (e) => {
+            this.autosave = e.target.checked;
+            localStorage.setItem(AUTOSAVE_KEY, this.autosave ? 'on' : 'off');
+            this.onAutosaveChange(this.autosave);
+        });
+        document.getElementById('session-resume-btn').addEventListener('click', () => {
+            if (this.resumeSession) this.restore(this.resumeSession);
+        });
+        document.getElementById('session-dismiss-btn').addEventListener('click', () => this.dismissResume());
+        this.dom.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const session = this.sessions.find(s => s.id === button.dataset.id);
+            if (!session) return;
+            if (button.dataset.action === 'restore') {
+                this.restore(session);
+            } else {
+                this.remove(session);
+            }
+        });
+    }
+
+    // Re-read the store and redraw the list
+    async refresh() {
+        try {
+            this.sessions = await this.store.list();
+        } catch (error) {
+            this.sessions = [];
+            this.setMessage(`Saved sessions are unavailable: ${error.message}`);
+        }
+        this.render();
+        return this.sessions;
+    }
+
+    render() {
+        this.dom.list.innerHTML = this.sessions.map(session => `
+          <li class="session-item">
+            <div class="session-info">
+              <strong>${describeSession(session)}</strong>
+              <span>Avg score ${session.avgScore.toFixed(2)}, best ${session.maxScore} · saved ${formatAge(session.updatedAt)} · ${(session.bytes / 1048576).toFixed(1)} MB</span>
+            </div>
+            <button class="control-btn secondary" data-action="restore" data-id="${session.id}">Restore</button>
+            <button class="control-btn danger" data-action="delete" data-id="${session.id}">Delete</button>
+          </li>`).join('');
+        if (this.sessions.length === 0) {
+            this.dom.list.innerHTML = '<li class="session-item empty">No saved sessions yet.</li>';
+        }
+    }
+
+    // After a page load: offer the most recently saved session
+    async offerResume() {
+        const [last] = await this.refresh();
+        if (!last) return;
+        this.resumeSession = last;
+        this.dom.resumeText.textContent = `Resume your last session? ${describeSession(last)}, saved ${formatAge(last.updatedAt)}.`;
+        this.dom.resume.hidden = false;
+    }
+
+    dismissResume() {
+        this.dom.resume.hidden = true;
+    }
+
+    async restore(session) {
+        this.dismissResume();
+        await this.onRestore(session);
+    }
+
+    async remove(session) {
+        if (!confirm(`Delete the saved session at episode ${session.episode}?`)) return;
+        if (this.resumeSession && session.id === this.resumeSession.id) this.dismissResume();
+        try {
+            await this.store.delete(session.id);
+        } catch (error) {
+            this.setMessage(`Failed to delete session: ${error.message}`);
+        }
+        await this.refresh();
+    }
+
+    setMessage(text) {
+        this.dom.hint.textContent = text;
+    }
+}
@@ -0,0 +1,86 @@
+// Training sessions saved in IndexedDB, so a refreshed or closed tab can pick up where it left off.
+// A session is a checkpoint (see checkpoint.js) plus a small summary, kept in separate stores so
+// sessions can be listed without reading their checkpoints.
+const DB_NAME = 'flappy-dqn';
+const DB_VERSION = 1;
+
+// Saving a new session deletes the oldest ones beyond this
+export const MAX_SESSIONS = 5;
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+export class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    // IndexedDB can be missing, e.g. in some private browsing modes
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('sessions', { keyPath: 'id' });
+                db.createObjectStore('checkpoints');
+            };
+            this.dbPromise = promisify(request);
+        }
+        return this.dbPromise;
+    }
+
+    // Summaries of all saved sessions, most recently saved first
+    async list() {
+        const db = await this.open();
+        const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // Create or overwrite the session summary.id with its checkpoint Blob
+    async save(summary, blob) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'checkpoints'], 'readwrite');
+        tx.objectStore('sessions').put(summary);
+        tx.objectStore('checkpoints').put(blob, summary.id);
+        await transactionDone(tx);
+        await this.prune();
+    }
+
+    async getCheckpoint(id) {
+        const db = await this.open();
+        const blob = await promisify(db.transaction('checkpoints').objectStore('checkpoints').get(id));
+        if (!blob) throw new Error('Saved session not found');
+        return blob;
+    }
+
+    async delete(id) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'checkpoints'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+        tx.objectStore('checkpoints').delete(id);
+        await transactionDone(tx);
+    }
+
+    async prune() {
+        const sessions = await this.list();
+        for (const session of sessions.slice(MAX_SESSIONS)) {
+            await this.delete(session.id);
+        }
+    }
+}
@@ -0,0 +1,48 @@
+// Sum tree for proportional prioritized experience replay
+// Leaves hold per-slot priorities, internal nodes hold the sum of their children,
+// so sampling by cumulative priority and updating a priority are both O(log n).
+export class SumTree {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.tree = new Float64Array(2 * capacity - 1);
+    }
+
+    total() {
+        return this.tree[0];
+    }
+
+    get(index) {
+        return this.tree[index + this.capacity - 1];
+    }
+
+    update(index, priority) {
+        let node = index + this.capacity - 1;
+        const change = priority - this.tree[node];
+        this.tree[node] = priority;
+
+        // Propagate the change up to the root
+        while (node > 0) {
+            node = (node - 1) >> 1;
+            this.tree[node] += change;
+        }
+    }
+
+    // Find the slot whose cumulative priority range contains value
+    find(value) {
+        let node = 0;
+        while (node < this.capacity - 1) {
+            const left = 2 * node + 1;
+            if (value <= this.tree[left] || this.tree[left + 1] <= 0) {
+                node = left;
+            } else {
+                value -= this.tree[left];
+                node = left + 1;
+            }
+        }
+        return node - (this.capacity - 1);
+    }
+
+    clear() {
+        this.tree.fill(0);
+    }
+}
@@ -0,0 +1,53 @@
+// Main-thread handle for the training worker
+export class TrainingClient {
+    constructor() {
+        this.worker = new Worker(new URL('./training-worker.js', import.meta.url), { type: 'module' });
+        this.listeners = {};
+        this.pending = new Map();
+        this.nextRequestId = 0;
+
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => console.error('Training worker error:', e.message || e);
+    }
+
+    // Register a handler for worker events ('snapshot', 'log', 'trainingEnded', ...)
+    on(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    // Fire-and-forget message
+    send(type, payload = {}) {
+        this.worker.postMessage({ type, ...payload });
+    }
+
+    // Message with a reply; resolves with the handler's result or rejects with its error
+    request(type, payload = {}) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id, ...payload });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'reply') {
+            const request = this.pending.get(message.id);
+            if (!request) return;
+            this.pending.delete(message.id);
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message.result);
+            }
+            return;
+        }
+
+        for (const handler of this.listeners[message.type] || []) {
+            handler(message);
+        }
+    }
+
+    terminate() {
+        this.worker.terminate();
+    }
+}
@@ -0,0 +1,678 @@
+// Training worker: runs Agent/Environment/DQN off the main thread and streams game state back
+// The UMD build of TensorFlow.js registers the global `tf` that the model code expects. The version
+// is pinned (here and in index.html) because checkpoints read Adam's internal state (see DQN.getCheckpoint).
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js';
+import { GameCore, DEFAULT_DIFFICULTY } from './game-core.js';
+import { Environment } from './environment.js';
+import { VectorEnvironment } from './vector-environment.js';
+import { ARCHITECTURES, createModel, getObservation } from './dqn.js';
+import { Agent } from './agent.js';
+import { SEED_STREAMS, deriveSeed } from './random.js';
+import { Curriculum } from './curriculum.js';
+import { encodeCheckpoint, decodeCheckpoint } from './checkpoint.js';
+import { MODEL_SCHEMA_VERSION, describeModel, migrateModelFile, validateModelFile } from './model-schema.js';
+import { evaluatePolicy } from './evaluation.js';
+import { RaceOpponent } from './race.js';
+import { EpisodeRecorder, compareRecordings } from './recorder.js';
+import { demonstrationEpisodes, policyAgreement } from './demonstrations.js';
+import { HYPERPARAMETERS, hyperparameterRange, resolveHyperparameters, validateHyperparameter } from './hyperparameters.js';
+
+// Upper bound on snapshot traffic when training at full speed (~60 fps)
+const SNAPSHOT_INTERVAL_MS = 16;
+// How long the training loop may run at speed 0 before yielding to the message queue
+const YIELD_INTERVAL_MS = 30;
+// Stay and jump
+const ACTION_DIM = 2;
+
+class TrainingWorker {
+    constructor() {
+        this.game = null;
+        this.env = null;
+        this.config = null;
+        this.model = null;
+        this.agent = null;
+        // Raises the difficulty as the agent improves; null when the curriculum is off
+        this.curriculum = null;
+        // Whether snapshots carry the Q-values of the first game's current state
+        this.qOverlay = false;
+        // Minimum time between two checkpoints posted while training (0 = autosave off)
+        this.autosaveIntervalMs = 0;
+        this.lastAutosaveTs = 0;
+        // Run the page started last; autosaves are tagged with it
+        this.runId = null;
+        // Set by stopEvaluation to end a running evaluation early
+        this.evaluationCancelled = false;
+        // AI side of the human vs AI race, on a frozen copy of the network; null when not racing
+        this.race = null;
+        // Recordings of the best and worst training episodes of the run (see recorder.js)
+        this.trainingRecordings = { best: null, worst: null };
+
+        // Promise of the running agent.train() call, awaited before starting another run
+        this.trainingPromise = null;
+        // Non-immediate messages are handled one at a time, in the order they were sent
+        this.queue = Promise.resolve();
+        this.lastSnapshotTs = 0;
+        this.lastYieldTs = 0;
+    }
+
+    // config: { seed, numEnvs, actionRepeat, reward, curriculum, architecture, hiddenDim, exploration, agentConfig }
+    init(config) {
+        this.config = config;
+        this.createEnvironment(config.numEnvs);
+        this.env.setActionRepeat(config.actionRepeat || 1);
+        this.env.setReward(config.reward);
+        this.resetCurriculum(config.curriculum);
+        this.env.setSeed(deriveSeed(config.seed, SEED_STREAMS.environment));
+        this.model = this.createNetwork(config);
+        this.env.setObservation(getObservation(config.architecture));
+        this.agent = new Agent(this.env, this.model, {
+            ...config.agentConfig,
+            ...resolveHyperparameters(config.agentConfig, getObservation(config.architecture)),
+            exploration: config.exploration,
+            seed: deriveSeed(config.seed, SEED_STREAMS.agent)
+        });
+
+        this.agent.logCallback = (data) => {
+            this.updateCurriculum(data.score);
+            this.post('log', { data: data, status: this.getStatus() });
+        };
+        this.agent.stepCallback = () => this.onStep();
+        this.agent.episodeCallback = () => this.onEpisodeEnd();
+    }
+
+    resetCurriculum(enabled) {
+        this.curriculum = enabled ? new Curriculum() : null;
+        this.env.setDifficulty(this.curriculum ? this.curriculum.difficulty : DEFAULT_DIFFICULTY);
+    }
+
+    // Level changes apply to each game from its next episode
+    updateCurriculum(score) {
+        if (this.curriculum && this.curriculum.update(score)) {
+            this.env.setDifficulty(this.curriculum.difficulty);
+        }
+    }
+
+    // One game, or several stepped in lockstep; this.game is always the first one
+    createEnvironment(numEnvs = 1) {
+        if (numEnvs > 1) {
+            const envs = Array.from({ length: numEnvs }, () => new Environment(new GameCore()));
+            this.env = new VectorEnvironment(envs);
+        } else {
+            this.env = new Environment(new GameCore());
+        }
+        this.game = this.env.game;
+        for (const game of this.games) {
+            new EpisodeRecorder(game, { source: 'training', onEpisode: (recording) => this.keepRecording(recording) });
+        }
+    }
+
+    // Posts the run's best and worst training episodes to the page as they change
+    keepRecording(recording) {
+        const { best, worst } = this.trainingRecordings;
+        if (!best || compareRecordings(recording, best) > 0) {
+            this.trainingRecordings.best = recording;
+            this.post('recording', { slot: 'trainingBest', recording: recording, runId: this.runId });
+        }
+        if (!worst || compareRecordings(recording, worst) < 0) {
+            this.trainingRecordings.worst = recording;
+            this.post('recording', { slot: 'trainingWorst', recording: recording, runId: this.runId });
+        }
+    }
+
+    get games() {
+        return this.env.envs ? this.env.envs.map(env => env.game) : [this.game];
+    }
+
+    // Network input and output sizes for an architecture: the input is the observation it consumes
+    getModelDims(architecture) {
+        const observationShape = this.env.getObservationShape(getObservation(architecture));
+        return {
+            observationShape: observationShape,
+            stateDim: observationShape.reduce((a, b) => a * b, 1),
+            actionDim: ACTION_DIM
+        };
+    }
+
+    createNetwork({ seed, architecture, hiddenDim, exploration, agentConfig }) {
+        const { observationShape, stateDim, actionDim } = this.getModelDims(architecture);
+        return createModel(architecture, stateDim, actionDim, hiddenDim, {
+            noisy: exploration === 'noisy',
+            learningRate: resolveHyperparameters(agentConfig).learningRate,
+            seed: deriveSeed(seed, SEED_STREAMS.model),
+            observationShape: observationShape
+        });
+    }
+
+    async onStep() {
+        const now = performance.now();
+        if (this.agent.trainingDelay > 0 || now - this.lastSnapshotTs >= SNAPSHOT_INTERVAL_MS) {
+            this.lastSnapshotTs = now;
+            this.postSnapshot();
+        }
+
+        // At speed 0 nothing else would let 'stop' or slider messages in
+        if (this.agent.trainingDelay <= 0 && now - this.lastYieldTs >= YIELD_INTERVAL_MS) {
+            await this.agent.sleep(0);
+            this.lastYieldTs = performance.now();
+        }
+    }
+
+    // Checkpoints are taken between episodes, so training carries on without being paused
+    async onEpisodeEnd() {
+        if (this.autosaveIntervalMs <= 0 || performance.now() - this.lastAutosaveTs < this.autosaveIntervalMs) {
+            return;
+        }
+        this.lastAutosaveTs = performance.now();
+        const blob = await this.createCheckpoint();
+        this.post('autosave', { runId: this.runId, blob: blob, status: this.getStatus() });
+    }
+
+    setAutosave({ intervalMs }) {
+        this.autosaveIntervalMs = intervalMs;
+    }
+
+    postSnapshot() {
+        const qValues = this.qOverlay ? this.getLiveQValues() : null;
+        this.post('snapshot', { ...this.getSnapshots(), qValues: qValues });
+    }
+
+    // Q-values for the state the first game is in, i.e. what the agent is about to act on
+    getLiveQValues() {
+        const env = this.env.envs ? this.env.envs[0] : this.env;
+        if (env.game.gameState !== env.game.PLAYING) return null;
+        return tf.tidy(() => Array.from(this.model.predictMean([env.getState()]).dataSync()));
+    }
+
+    setQOverlay({ enabled }) {
+        this.qOverlay = enabled;
+    }
+
+    // Q-values over a resolution x resolution grid of feature states: features xIndex and yIndex
+    // are swept from min to max, the others are taken from values. Rows run from yMin to yMax.
+    qGrid({ xIndex, yIndex, values, xRange, yRange, resolution }) {
+        if (this.env.observation !== 'features') {
+            throw new Error('Q-value heatmaps need a model that reads the feature vector, not pixels');
+        }
+
+        const states = [];
+        for (let row = 0; row < resolution; row++) {
+            for (let col = 0; col < resolution; col++) {
+                const state = values.slice();
+                state[xIndex] = xRange[0] + (xRange[1] - xRange[0]) * col / (resolution - 1);
+                state[yIndex] = yRange[0] + (yRange[1] - yRange[0]) * row / (resolution - 1);
+                states.push(state);
+            }
+        }
+
+        const q = tf.tidy(() => this.model.predictMean(states).dataSync());
+        const stay = new Array(states.length);
+        const jump = new Array(states.length);
+        for (let i = 0; i < states.length; i++) {
+            stay[i] = q[i * 2];
+            jump[i] = q[i * 2 + 1];
+        }
+        return { resolution, stay, jump };
+    }
+
+    // Greedy evaluation of the current network on fixed-seed games (see evaluation.js). It plays a
+    // frozen copy, so training may carry on meanwhile without changing the policy being measured.
+    async evaluate({ episodes, maxSteps, seed }) {
+        const network = this.createNetwork(this.config);
+        const status = this.getStatus();
+        try {
+            network.model.setWeights(this.model.model.getWeights());
+            this.evaluationCancelled = false;
+            const result = await evaluatePolicy(network, {
+                episodes: episodes,
+                maxSteps: maxSteps,
+                seed: seed,
+                observation: this.env.observation,
+                actionRepeat: this.env.actionRepeat,
+                onProgress: (done, total) => this.post('evaluationProgress', { done, total }),
+                isCancelled: () => this.evaluationCancelled
+            });
+            if (!result) return null;
+            const { recordings, ...summary } = result;
+            this.post('recording', { slot: 'evaluationBest', recording: recordings.best });
+            this.post('recording', { slot: 'evaluationWorst', recording: recordings.worst });
+            return {
+                ...summary,
+                architecture: this.config.architecture,
+                exploration: this.config.exploration,
+                hiddenDim: this.config.hiddenDim,
+                actionRepeat: this.env.actionRepeat,
+                trainingEpisode: status.episode
+            };
+        } finally {
+            network.dispose();
+        }
+    }
+
+    stopEvaluation() {
+        this.evaluationCancelled = true;
+    }
+
+    // Fit the network to the player's demonstrations before RL starts (see Agent.pretrain), and
+    // optionally store them in replay memory for the run to keep learning from
+    async pretrain({ recordings, steps, seedReplay }) {
+        if (this.agent.isTraining) throw new Error('Stop training before pre-training on demonstrations');
+        const episodes = demonstrationEpisodes(recordings, {
+            observation: this.env.observation,
+            actionRepeat: this.env.actionRepeat,
+            reward: this.env.reward
+        });
+        const transitions = episodes.flatMap(episode => episode.transitions);
+        if (transitions.length === 0) throw new Error('The demonstrations have no frames to learn from');
+
+        const agreementBefore = policyAgreement(this.model, transitions);
+        this.lastYieldTs = performance.now();
+        const loss = await this.agent.pretrain(transitions, true, {
+            steps: steps,
+            seed: deriveSeed(this.config.seed, SEED_STREAMS.demonstrations),
+            onProgress: async (done, total, loss) => {
+                if (performance.now() - this.lastYieldTs < YIELD_INTERVAL_MS && done < total) return;
+                this.post('pretrainProgress', { done, total, loss });
+                await this.agent.sleep(0);
+                this.lastYieldTs = performance.now();
+            }
+        });
+        if (seedReplay) {
+            for (const { transitions, crashed } of episodes) {
+                this.agent.rememberEpisode(transitions, crashed);
+            }
+        }
+        return {
+            episodes: episodes.length,
+            transitions: transitions.length,
+            steps: steps,
+            loss: loss,
+            agreementBefore: agreementBefore,
+            agreementAfter: policyAgreement(this.model, transitions),
+            seeded: seedReplay ? transitions.length : 0,
+            status: this.getStatus()
+        };
+    }
+
+    // Race against the network as it is now; the page seeds its own game with the same seed
+    startRace({ seed }) {
+        this.stopRace();
+        const network = this.createNetwork(this.config);
+        network.model.setWeights(this.model.model.getWeights());
+        this.race = new RaceOpponent(network, {
+            observation: this.env.observation,
+            actionRepeat: this.env.actionRepeat
+        });
+        return {
+            snapshot: this.race.start(seed),
+            architecture: this.config.architecture,
+            exploration: this.config.exploration,
+            hiddenDim: this.config.hiddenDim,
+            trainingEpisode: this.agent.episode
+        };
+    }
+
+    raceStep() {
+        if (!this.race) throw new Error('No race in progress');
+        return this.race.step();
+    }
+
+    stopRace() {
+        if (this.race) {
+            this.race.dispose();
+            this.race = null;
+        }
+    }
+
+    // snapshot is the first game; snapshots has every game for the grid view
+    getSnapshots() {
+        const snapshots = this.games.map(game => game.getSnapshot());
+        return { snapshot: snapshots[0], snapshots: snapshots };
+    }
+
+    // Mirror of the agent fields the page reads to draw its status card and pause overlay
+    getStatus() {
+        const agent = this.agent;
+        return {
+            episode: agent.episode,
+            epsilon: agent.epsilon,
+            memorySize: agent.memory.length,
+            memoryMaxLen: agent.memoryMaxLen,
+            isTraining: agent.isTraining,
+            isPaused: agent.isPaused,
+            currentEpisodeState: agent.currentEpisodeState ? {
+                steps: agent.currentEpisodeState.steps,
+                totalReward: agent.currentEpisodeState.totalReward
+            } : null,
+            statistics: agent.getStatistics(),
+            curriculumLevel: this.curriculum ? this.curriculum.level : null,
+            difficulty: { ...DEFAULT_DIFFICULTY, ...(this.curriculum ? this.curriculum.difficulty : {}) }
+        };
+    }
+
+    // Kicks off a run without waiting for it, so later messages are not held up behind training
+    async start({ runId, episodes, delay }) {
+        // A stopped run may still be finishing its current step
+        if (this.trainingPromise) {
+            await this.trainingPromise;
+        }
+
+        this.lastYieldTs = performance.now();
+        this.lastAutosaveTs = this.lastYieldTs;
+        this.runId = runId;
+        this.trainingPromise = this.runTraining(runId, episodes, delay);
+    }
+
+    // A run that fails still ends, with the error, so the page and later messages aren't left waiting
+    async runTraining(runId, episodes, delay) {
+        let error;
+        try {
+            await this.agent.train(episodes, true, delay);
+        } catch (e) {
+            console.error('Training failed:', e);
+            error = e.message || String(e);
+            // train() didn't get to clear it
+            this.agent.stop();
+        } finally {
+            this.trainingPromise = null;
+            this.post('trainingEnded', {
+                runId: runId,
+                status: this.getStatus(),
+                error: error,
+                ...this.getSnapshots()
+            });
+        }
+    }
+
+    stop() {
+        if (this.agent) this.agent.stop();
+    }
+
+    async reset(config) {
+        this.stop();
+        if (this.trainingPromise) {
+            await this.trainingPromise;
+        }
+
+        this.agent.reset();
+        if (this.model && typeof this.model.dispose === 'function') {
+            try { this.model.dispose(); } catch (e) { /* no-op */ }
+        }
+        // Back to HOME before reseeding, so a reset run draws the same tubes as a fresh page
+        if ((config.numEnvs || 1) !== (this.config.numEnvs || 1)) {
+            this.createEnvironment(config.numEnvs);
+            this.agent.env = this.env;
+        } else {
+            for (const env of this.env.envs || [this.env]) {
+                // An episode cut short by the reset belongs to the old run
+                env.game.recorder.discard();
+                env.game.initializeGame();
+                env.previousScore = 0;
+            }
+        }
+        this.trainingRecordings = { best: null, worst: null };
+
+        this.config = config;
+        this.env.setActionRepeat(config.actionRepeat || 1);
+        this.env.setReward(config.reward);
+        this.resetCurriculum(config.curriculum);
+        this.env.setSeed(deriveSeed(config.seed, SEED_STREAMS.environment));
+        this.agent.setSeed(deriveSeed(config.seed, SEED_STREAMS.agent));
+        this.model = this.createNetwork(config);
+        this.env.setObservation(getObservation(config.architecture));
+        this.agent.model = this.model;
+        this.agent.exploration = config.exploration;
+        this.agent.epsilon = config.agentConfig.epsilon;
+        // Also sizes the replay memory to the run's, e.g. a checkpoint's
+        this.agent.setHyperparameters(resolveHyperparameters(config.agentConfig, getObservation(config.architecture)));
+        return this.getStatus();
+    }
+
+    setDelay({ delay }) {
+        this.agent.trainingDelay = delay;
+    }
+
+    setEpsilon({ epsilon }) {
+        this.agent.epsilon = epsilon;
+    }
+
+    // Coach mode: the player flapped, so the first game flaps on its next step (see Agent.override)
+    coachFlap() {
+        if (this.agent && this.agent.isTraining) this.agent.override(this.env.actionSpace.JUMP);
+    }
+
+    setExpertWeight({ expertWeight }) {
+        this.agent.expertWeight = expertWeight;
+    }
+
+    // Hyperparameters that can change during a run (see hyperparameters.js); they are kept in the
+    // config, so checkpoints and resets carry them
+    setHyperparameters({ values }) {
+        for (const [name, value] of Object.entries(values)) {
+            const error = validateHyperparameter(name, value, this.env.observation);
+            if (error) throw new Error(error);
+            if (!HYPERPARAMETERS[name].live) throw new Error(`${HYPERPARAMETERS[name].label} can only change with a new run`);
+        }
+        const { learningRate, ...agentValues } = values;
+        this.agent.setHyperparameters(agentValues);
+        if (learningRate !== undefined) this.model.setLearningRate(learningRate);
+        this.config = { ...this.config, agentConfig: { ...this.config.agentConfig, ...values } };
+    }
+
+    // Model file in the current schema (see model-schema.js)
+    exportModel() {
+        const weights = this.model.model.getWeights();
+        const status = this.getStatus();
+        return {
+            schemaVersion: MODEL_SCHEMA_VERSION,
+            model: describeModel({
+                architecture: this.model.architecture,
+                exploration: this.agent.exploration,
+                stateDim: this.model.stateDim,
+                actionDim: this.model.actionDim,
+                hiddenDim: this.model.hiddenDim,
+                weightShapes: weights.map(w => w.shape)
+            }),
+            weights: weights.map(w => w.arraySync()),
+            config: {
+                episode: status.episode,
+                epsilon: status.epsilon,
+                memorySize: status.memorySize,
+                actionRepeat: this.env.actionRepeat,
+                reward: this.env.reward,
+                seed: this.config.seed,
+                statistics: status.statistics,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    // Migrate a parsed model file to the current schema and check that it fits this game and the
+    // network it describes. Nothing running is touched; returns the migrated file.
+    validateModel({ data }) {
+        const file = migrateModelFile(data, (architecture) => this.getModelDims(architecture));
+        this.checkModelFile(file);
+        return file;
+    }
+
+    // Shapes are compared against a throwaway network built from the file's settings
+    checkModelFile(file) {
+        validateModelFile(file, ({ architecture, hiddenDim, exploration }) => {
+            const network = this.createNetwork({ ...this.config, architecture, hiddenDim, exploration });
+            try {
+                return {
+                    stateDim: network.stateDim,
+                    actionDim: network.actionDim,
+                    weightShapes: network.model.getWeights().map(w => w.shape)
+                };
+            } finally {
+                network.dispose();
+            }
+        });
+    }
+
+    // Replace the network with one rebuilt from a model file (see validateModel)
+    loadModel({ file }) {
+        this.checkModelFile(file);
+        const { architecture, hiddenDim, exploration } = file.model;
+        const config = file.config || {};
+        const epsilon = Number.isFinite(config.epsilon) ? config.epsilon : this.agent.epsilon;
+        const actionRepeat = config.actionRepeat || 1;
+        const reward = config.reward;
+        // The page takes over the seed of the run that produced the model; older files don't have one
+        const seed = Number.isInteger(config.seed) ? config.seed : this.config.seed;
+
+        const model = this.createNetwork({ ...this.config, architecture, hiddenDim, exploration });
+        const tensors = file.weights.map(w => tf.tensor(w));
+        try {
+            model.model.setWeights(tensors);
+        } catch (error) {
+            model.dispose();
+            throw error;
+        } finally {
+            // Dispose created tensors to avoid memory leaks
+            tensors.forEach(t => t.dispose());
+        }
+        if (model.updateTarget) {
+            model.updateTarget();
+        }
+
+        if (this.model && typeof this.model.dispose === 'function') {
+            try { this.model.dispose(); } catch (e) { /* no-op */ }
+        }
+        this.model = model;
+        this.agent.model = model;
+        // Experiences of the other observation mode can't be replayed through this network
+        if (getObservation(architecture) !== this.env.observation) {
+            this.env.setObservation(getObservation(architecture));
+            this.agent.clearMemory();
+        }
+        // Pixel states only fit a smaller replay memory; the page lowers its setting the same way
+        const memoryMaxLen = Math.min(this.agent.memoryMaxLen, hyperparameterRange('memoryMaxLen', this.env.observation).max);
+        this.agent.setHyperparameters({ memoryMaxLen });
+        this.agent.exploration = exploration;
+        this.agent.epsilon = epsilon;
+        // The policy was learned deciding every actionRepeat frames
+        this.env.setActionRepeat(actionRepeat);
+        this.env.setReward(reward);
+        const agentConfig = { ...this.config.agentConfig, memoryMaxLen };
+        this.config = { ...this.config, seed, actionRepeat, reward, architecture, hiddenDim, exploration, agentConfig };
+        return this.getStatus();
+    }
+
+    // The whole training state as a checkpoint file (Blob). A running run is paused first,
+    // so the checkpoint holds the interrupted episode and resumes inside it.
+    async saveCheckpoint() {
+        this.stop();
+        if (this.trainingPromise) {
+            await this.trainingPromise;
+        }
+
+        const blob = await this.createCheckpoint();
+        return { blob: blob, status: this.getStatus() };
+    }
+
+    // Only consistent while no step is in progress: when stopped, or between episodes
+    async createCheckpoint() {
+        return encodeCheckpoint({
+            config: this.config,
+            model: await this.model.getCheckpoint(),
+            agent: this.agent.getCheckpoint(),
+            environment: this.env.getCheckpoint(),
+            curriculum: this.curriculum ? this.curriculum.getCheckpoint() : null,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Rebuild everything from the checkpoint's settings, then put its state back in place.
+    // On failure the previous settings are restored as a fresh run.
+    async loadCheckpoint({ buffer }) {
+        const checkpoint = await decodeCheckpoint(buffer);
+        if (!checkpoint.config || !ARCHITECTURES[checkpoint.config.architecture]) {
+            throw new Error('Checkpoint has no valid training settings');
+        }
+
+        const previousConfig = this.config;
+        try {
+            await this.reset(checkpoint.config);
+            await this.model.restoreCheckpoint(checkpoint.model);
+            this.agent.restoreCheckpoint(checkpoint.agent);
+            this.env.restoreCheckpoint(checkpoint.environment);
+            if (this.curriculum && checkpoint.curriculum) {
+                this.curriculum.restoreCheckpoint(checkpoint.curriculum);
+            }
+        } catch (error) {
+            await this.reset(previousConfig);
+            throw error;
+        }
+
+        const agent = this.agent;
+        return {
+            config: this.config,
+            status: this.getStatus(),
+            history: {
+                scores: agent.episodeScores,
+                rewards: agent.episodeRewards,
+                lengths: agent.episodeLengths,
+                epsilons: agent.episodeEpsilons
+            },
+            ...this.getSnapshots()
+        };
+    }
+
+    post(type, payload = {}) {
+        self.postMessage({ type, ...payload });
+    }
+
+    handleMessage(message) {
+        const handler = TrainingWorker.handlers[message.type];
+        if (handler && handler.immediate) {
+            // Must take effect while a run is in progress, e.g. stopping it
+            return this.dispatch(message);
+        }
+        this.queue = this.queue.then(() => this.dispatch(message));
+        return this.queue;
+    }
+
+    async dispatch(message) {
+        const { type, id, ...payload } = message;
+        const handler = TrainingWorker.handlers[type];
+        try {
+            if (!handler) throw new Error(`Unknown message type: ${type}`);
+            const result = await this[handler.method](payload);
+            if (id !== undefined) this.post('reply', { id, result });
+        } catch (error) {
+            console.error(`Training worker failed to handle "${type}":`, error);
+            if (id !== undefined) this.post('reply', { id, error: error.message || String(error) });
+        }
+    }
+}
+
+// Message type -> handler method; immediate handlers skip the queue
+TrainingWorker.handlers = {
+    init: { method: 'init' },
+    start: { method: 'start' },
+    stop: { method: 'stop', immediate: true },
+    reset: { method: 'reset' },
+    setDelay: { method: 'setDelay', immediate: true },
+    setEpsilon: { method: 'setEpsilon', immediate: true },
+    coachFlap: { method: 'coachFlap', immediate: true },
+    setExpertWeight: { method: 'setExpertWeight', immediate: true },
+    setHyperparameters: { method: 'setHyperparameters', immediate: true },
+    setQOverlay: { method: 'setQOverlay', immediate: true },
+    setAutosave: { method: 'setAutosave', immediate: true },
+    qGrid: { method: 'qGrid' },
+    evaluate: { method: 'evaluate' },
+    stopEvaluation: { method: 'stopEvaluation', immediate: true },
+    pretrain: { method: 'pretrain' },
+    startRace: { method: 'startRace' },
+    raceStep: { method: 'raceStep', immediate: true },
+    stopRace: { method: 'stopRace', immediate: true },
+    exportModel: { method: 'exportModel' },
+    validateModel: { method: 'validateModel' },
+    loadModel: { method: 'loadModel' },
+    saveCheckpoint: { method: 'saveCheckpoint' },
+    loadCheckpoint: { method: 'loadCheckpoint' }
+};
+
+const worker = new TrainingWorker();
+self.onmessage = (e) => worker.handleMessage(e.data);
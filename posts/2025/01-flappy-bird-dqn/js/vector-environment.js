@@ -0,0 +1,82 @@
+﻿// Several Environment instances stepped in lockstep with batched actions
+import { deriveSeed } from './random.js';
+
+export class VectorEnvironment {
+    constructor(envs) {
+        this.envs = envs;
+        this.numEnvs = envs.length;
+        this.actionSpace = envs[0].actionSpace;
+    }
+
+    // First game, for code that only looks at a single environment
+    get game() {
+        return this.envs[0].game;
+    }
+
+    // Each environment gets its own tube sequence derived from the shared seed
+    setSeed(seed) {
+        this.seed = seed;
+        this.envs.forEach((env, i) => env.setSeed(deriveSeed(seed, i + 1)));
+    }
+
+    get actionRepeat() {
+        return this.envs[0].actionRepeat;
+    }
+
+    setActionRepeat(actionRepeat) {
+        this.envs.forEach(env => env.setActionRepeat(actionRepeat));
+    }
+
+    setDifficulty(difficulty) {
+        this.envs.forEach(env => env.setDifficulty(difficulty));
+    }
+
+    get reward() {
+        return this.envs[0].reward;
+    }
+
+    setReward(rewardConfig) {
+        this.envs.forEach(env => env.setReward(rewardConfig));
+    }
+
+    get observation() {
+        return this.envs[0].observation;
+    }
+
+    setObservation(observation) {
+        this.envs.forEach(env => env.setObservation(observation));
+    }
+
+    getObservationShape(observation) {
+        return this.envs[0].getObservationShape(observation);
+    }
+
+    get stateDim() {
+        return this.envs[0].stateDim;
+    }
+
+    reset() {
+        return this.envs.map(env => env.reset());
+    }
+
+    resetAt(index) {
+        return this.envs[index].reset();
+    }
+
+    // actions[i] is applied to envs[i]; returns one { state, reward, done } per environment
+    step(actions) {
+        return this.envs.map((env, i) => env.step(actions[i]));
+    }
+
+    getCheckpoint() {
+        return this.envs.map(env => env.getCheckpoint());
+    }
+
+    restoreCheckpoint(checkpoints) {
+        this.envs.forEach((env, i) => env.restoreCheckpoint(checkpoints[i]));
+    }
+
+    render() {
+        this.envs[0].render();
+    }
+}